@@ -0,0 +1,249 @@
+/**
+ * Confluence REST client for resolver functions.
+ * Mirrors the browser API layer (static/heatmap/src/api) on top of @forge/api,
+ * reusing the same endpoint definitions and request limits.
+ */
+
+import { assumeTrustedRoute } from '@forge/api';
+import {
+  API_ENDPOINTS,
+  COMMENT_STATUS,
+  ERROR_MESSAGES,
+  HTTP_HEADERS,
+  REQUEST_LIMITS,
+  RETRY_CONFIG,
+} from '../static/heatmap/src/constants';
+import { createLimiter } from '../static/heatmap/src/utils/concurrency';
+import { mayHaveReplies } from '../static/heatmap/src/utils/commentRanking';
+import { sleep } from '../static/heatmap/src/utils/abort';
+
+// Resolver invocations are time-limited, so retry less patiently than the browser does
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Error raised when a Confluence request made by a resolver fails.
+ * Same shape as the browser ApiError so callers can treat both alike.
+ */
+export class ConfluenceApiError extends Error {
+  constructor(message, { status = null, retryable = false, endpoint = null } = {}) {
+    super(message);
+    this.name = 'ConfluenceApiError';
+    this.status = status;
+    this.retryable = retryable;
+    this.endpoint = endpoint;
+  }
+}
+
+/**
+ * Checks that an ID taken from a payload is a plain Confluence content ID,
+ * so it can be safely interpolated into a route.
+ * 
+ * @param {string} id - Page or comment ID
+ * @returns {boolean} True if the ID is numeric
+ */
+export function isValidContentId(id) {
+  return typeof id === 'string' && /^\d+$/.test(id);
+}
+
+/**
+ * Checks that a label can be safely embedded in a CQL query.
+ * 
+ * @param {string} label - Label name
+ * @returns {boolean} True for a single label without whitespace, quotes or backslashes
+ */
+export function isValidLabel(label) {
+  return typeof label === 'string' && /^[^\s"\\]+$/.test(label);
+}
+
+/**
+ * Creates a Confluence client bound to a request context.
+ * 
+ * @param {Object} product - api.asUser() (resolver calls) or api.asApp() (web triggers)
+ * @returns {Object} Client with page and comment fetchers
+ */
+export function createConfluenceClient(product) {
+  /**
+   * GETs a Confluence path and parses the JSON response, retrying rate limits and
+   * transient failures with a short exponential backoff.
+   */
+  async function getJson(path, errorContext) {
+    for (let attempt = 1; ; attempt++) {
+      const response = await product.requestConfluence(assumeTrustedRoute(path), {
+        headers: HTTP_HEADERS.JSON,
+      });
+
+      if (response.ok) {
+        return response.json();
+      }
+
+      const retryable = RETRY_CONFIG.RETRYABLE_STATUSES.includes(response.status);
+      if (!retryable || attempt >= MAX_ATTEMPTS) {
+        throw new ConfluenceApiError(`${errorContext} failed: HTTP ${response.status}`, {
+          status: response.status,
+          retryable,
+          endpoint: path,
+        });
+      }
+
+      const retryAfterSeconds = Number(response.headers.get('Retry-After'));
+      const delay = Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0
+        ? retryAfterSeconds * 1000
+        : RETRY_CONFIG.BASE_DELAY_MS * 2 ** (attempt - 1);
+      await sleep(Math.min(delay, RETRY_CONFIG.MAX_DELAY_MS));
+    }
+  }
+
+  /**
+   * Fetches every page of a cursor-paginated v2 collection, stopping early once
+   * maxResults items have been collected.
+   */
+  async function getPaginatedResults(path, errorContext, maxResults = Infinity) {
+    const results = [];
+    let nextPath = path;
+
+    while (nextPath && results.length < maxResults) {
+      const data = await getJson(nextPath, errorContext);
+      if (Array.isArray(data?.results)) {
+        results.push(...data.results);
+      }
+      const next = data?._links?.next;
+      const followingPath = next ? (next.startsWith('/wiki/') ? next : `/wiki${next}`) : null;
+      nextPath = followingPath !== nextPath ? followingPath : null;
+    }
+
+    return results.slice(0, maxResults);
+  }
+
+  /**
+   * Fetches a comment's replies, recursing into nested replies when requested.
+   * Each children request goes through the walk's shared limiter.
+   */
+  async function getReplies(commentId, childrenEndpoint, errorContext, nested, limit) {
+    const replies = (await limit(() => getPaginatedResults(childrenEndpoint(commentId), errorContext)))
+      .map((reply) => ({ ...reply, parentCommentId: reply.parentCommentId || commentId }));
+
+    if (!nested) {
+      return replies;
+    }
+
+    const nestedReplies = await Promise.all(
+      replies
+        .filter(mayHaveReplies)
+        .map((reply) => getReplies(reply.id, childrenEndpoint, errorContext, nested, limit))
+    );
+    return [...replies, ...nestedReplies.flat()];
+  }
+
+  /**
+   * Fetches root comments and every reply. One limiter caps the reply lookups of the
+   * whole walk (every thread and nesting level) at COMMENT_CHILDREN_CONCURRENCY.
+   */
+  async function getThreads(rootsPath, childrenEndpoint, errorContext, nested) {
+    const roots = await getPaginatedResults(rootsPath, errorContext);
+    const limit = createLimiter(REQUEST_LIMITS.COMMENT_CHILDREN_CONCURRENCY);
+    const repliesByThread = await Promise.all(
+      roots
+        .filter(mayHaveReplies)
+        .map((root) => getReplies(root.id, childrenEndpoint, `${errorContext} (replies)`, nested, limit))
+    );
+    return [...roots, ...repliesByThread.flat()];
+  }
+
+  return {
+    /**
+     * Fetches a page with its storage-format body.
+     * @param {string} pageId - Confluence page ID
+     * @returns {Promise<Object>} Page data object
+     */
+    getPage(pageId) {
+      if (!isValidContentId(pageId)) {
+        throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
+      }
+      return getJson(API_ENDPOINTS.PAGE(pageId), 'Page API');
+    },
+
+    /**
+     * Fetches the current pages of a space (without bodies), most recently modified first.
+     * @param {string} spaceId - Confluence space ID
+     * @param {number} [maxResults=Infinity] - Stop after this many pages
+     * @returns {Promise<Array>} Page objects with id, title, parentId and version
+     */
+    getSpacePages(spaceId, maxResults = Infinity) {
+      if (!isValidContentId(spaceId)) {
+        throw new Error(ERROR_MESSAGES.MISSING_SPACE_ID);
+      }
+      return getPaginatedResults(API_ENDPOINTS.SPACE_PAGES(spaceId), 'Space pages API', maxResults);
+    },
+
+    /**
+     * Fetches the pages below a page in the page tree (up to five levels deep).
+     * Other content types in the tree (folders, whiteboards, ...) are skipped.
+     * @param {string} pageId - Confluence page ID
+     * @param {number} [maxResults=Infinity] - Stop after this many descendants
+     * @returns {Promise<Array>} Descendants with id, title, parentId and depth
+     */
+    async getPageDescendants(pageId, maxResults = Infinity) {
+      if (!isValidContentId(pageId)) {
+        throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
+      }
+      const descendants = await getPaginatedResults(
+        API_ENDPOINTS.PAGE_DESCENDANTS(pageId),
+        'Page descendants API',
+        maxResults
+      );
+      return descendants.filter((descendant) => !descendant.type || descendant.type === 'page');
+    },
+
+    /**
+     * Fetches the current pages carrying a label (via CQL search).
+     * @param {string} label - Label name
+     * @param {number} [maxResults=Infinity] - Stop after this many pages
+     * @returns {Promise<Array>} Page objects with id and title
+     */
+    async getLabelPages(label, maxResults = Infinity) {
+      if (!isValidLabel(label)) {
+        throw new Error(ERROR_MESSAGES.INVALID_LABEL);
+      }
+      const results = await getPaginatedResults(API_ENDPOINTS.LABEL_PAGES(label), 'Label search API', maxResults);
+      return results
+        .map((result) => result.content)
+        .filter((content) => content?.id)
+        .map((content) => ({ id: content.id, title: content.title }));
+    },
+
+    /**
+     * Fetches all inline comments for a page, including every reply.
+     * @param {string} pageId - Confluence page ID
+     * @param {string} [status=COMMENT_STATUS.OPEN] - Resolution status filter for root comments
+     * @returns {Promise<Array>} Flat array of root and reply comments
+     */
+    getInlineComments(pageId, status = COMMENT_STATUS.OPEN) {
+      if (!isValidContentId(pageId)) {
+        throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
+      }
+      return getThreads(
+        API_ENDPOINTS.INLINE_COMMENTS(pageId, status),
+        API_ENDPOINTS.INLINE_COMMENT_CHILDREN,
+        'Inline comments API',
+        false
+      );
+    },
+
+    /**
+     * Fetches all footer comments for a page, including nested replies.
+     * @param {string} pageId - Confluence page ID
+     * @returns {Promise<Array>} Flat array of root and reply comments
+     */
+    getFooterComments(pageId) {
+      if (!isValidContentId(pageId)) {
+        throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
+      }
+      return getThreads(
+        API_ENDPOINTS.FOOTER_COMMENTS(pageId),
+        API_ENDPOINTS.FOOTER_COMMENT_CHILDREN,
+        'Footer comments API',
+        true
+      );
+    },
+  };
+}
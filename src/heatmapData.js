@@ -0,0 +1,354 @@
+/**
+ * Heatmap aggregation for resolver functions.
+ * Runs the same tree, ranking and scoring logic as the browser
+ * (commentRanking.js / colorStrip.js) and shapes it into a compact payload.
+ */
+
+import { createHash } from 'crypto';
+import {
+  COMMENT_STATUS,
+  ERROR_MESSAGES,
+  LEADERBOARD_SCOPE,
+  REQUEST_LIMITS,
+} from '../static/heatmap/src/constants';
+import {
+  rankParentsByReplies,
+  groupCommentsByUser,
+  getCommentLabel,
+  mergeUserCounts,
+} from '../static/heatmap/src/utils/commentRanking';
+import { buildReviewerLeaderboard } from '../static/heatmap/src/utils/leaderboard';
+import { mapWithConcurrency } from '../static/heatmap/src/utils/concurrency';
+import {
+  getInlineMarkerRefToColor,
+  getInlineMarkerRefToScore,
+} from '../static/heatmap/src/utils/colorStrip';
+
+/**
+ * Strips a comment down to the fields buildCommentTree and the comment popup read.
+ * 
+ * @param {Object} comment - Comment object from the v2 API
+ * @returns {Object} Comment with id, parentCommentId, body, resolutionStatus, properties and version
+ */
+export function compactComment(comment) {
+  return {
+    id: comment.id,
+    parentCommentId: comment.parentCommentId || null,
+    body: comment.body,
+    resolutionStatus: comment.resolutionStatus || null,
+    properties: {
+      inlineMarkerRef: comment.properties?.inlineMarkerRef || null,
+      inlineOriginalSelection: comment.properties?.inlineOriginalSelection || null,
+    },
+    version: {
+      number: comment.version?.number ?? null,
+      authorId: comment.version?.authorId || null,
+      createdAt: comment.version?.createdAt || null,
+    },
+  };
+}
+
+/**
+ * Computes a signature of a comment set that changes whenever a comment is added,
+ * deleted, edited or (un)resolved.
+ * 
+ * @param {Array} comments - Inline comments (compact or raw)
+ * @param {Array} footerComments - Footer comments (compact or raw)
+ * @returns {string} Hex digest
+ */
+export function getCommentSignature(comments, footerComments) {
+  const entries = [...comments, ...footerComments]
+    .map((comment) => `${comment.id}:${comment.version?.number ?? ''}:${comment.resolutionStatus || ''}`)
+    .sort();
+  return createHash('sha1').update(entries.join('|')).digest('hex');
+}
+
+/**
+ * Strips a page down to the fields the frontend renders.
+ * 
+ * @param {Object} page - Page object from the v2 API
+ * @returns {Object} Page with id, title, spaceId, version and storage body
+ */
+export function compactPage(page) {
+  return {
+    id: page.id,
+    title: page.title,
+    spaceId: page.spaceId,
+    version: {
+      number: page.version?.number ?? null,
+      createdAt: page.version?.createdAt || null,
+    },
+    body: { storage: { value: page.body?.storage?.value || '' } },
+  };
+}
+
+/**
+ * Computes marker colors, marker scores, thread rankings and author counts for one status filter.
+ * 
+ * @param {Array} comments - Flat array of inline comments
+ * @param {string} status - One of COMMENT_STATUS
+ * @returns {Object} { markerClasses, markerScores, threads, authors }
+ */
+export function aggregateComments(comments, status) {
+  const threads = rankParentsByReplies(comments, { status }).map((node) => ({
+    id: node.id,
+    inlineMarkerRef: node.inlineMarkerRef,
+    threadCount: node.threadCount,
+    participantCount: node.participantCount,
+  }));
+
+  return {
+    markerClasses: Object.fromEntries(getInlineMarkerRefToColor(comments, status)),
+    markerScores: Object.fromEntries(getInlineMarkerRefToScore(comments, status)),
+    threads,
+    authors: groupCommentsByUser(comments, { status }).map(({ authorId, commentCount }) => ({
+      authorId,
+      commentCount,
+    })),
+  };
+}
+
+/**
+ * Fetches a page with its comments and aggregates them into the heatmap payload.
+ * When every thread is fetched (COMMENT_STATUS.ALL), aggregates are computed for each
+ * status filter so the frontend can switch filters without another round-trip.
+ * Footer comments are optional: if they fail to load, the heatmap is still built and
+ * footerError carries the reason (footerComments is then empty).
+ * 
+ * @param {Object} client - Client from createConfluenceClient
+ * @param {string} pageId - Confluence page ID
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Resolution status filter for fetched threads
+ * @param {Object} [options.page] - Page already fetched by the caller; fetched here when omitted
+ * @returns {Promise<Object>} { page, comments, footerComments, footerError, status, signature,
+ *   heatmap: { [status]: aggregates } } where footerError is a message or null
+ * 
+ * @example
+ * const data = await buildHeatmapData(createConfluenceClient(asUser()), '12345');
+ * data.heatmap.open.markerClasses; // { 'marker-ref': 'comment-rank-3', ... }
+ */
+export async function buildHeatmapData(client, pageId, { status = COMMENT_STATUS.OPEN, page: fetchedPage } = {}) {
+  let footerError = null;
+  const [page, comments, footerComments] = await Promise.all([
+    fetchedPage || client.getPage(pageId),
+    client.getInlineComments(pageId, status),
+    client.getFooterComments(pageId).catch((error) => {
+      console.warn(`Failed to load footer comments for page ${pageId}:`, error);
+      footerError = `${ERROR_MESSAGES.FAILED_TO_LOAD_FOOTER_COMMENTS}: ${error.message || error}`;
+      return [];
+    }),
+  ]);
+
+  const statuses = status === COMMENT_STATUS.ALL
+    ? Object.values(COMMENT_STATUS)
+    : [status];
+
+  const heatmap = {};
+  for (const aggregateStatus of statuses) {
+    heatmap[aggregateStatus] = aggregateComments(comments, aggregateStatus);
+  }
+
+  return {
+    page: compactPage(page),
+    comments: comments.map(compactComment),
+    footerComments: footerComments.map(compactComment),
+    footerError,
+    status,
+    signature: getCommentSignature(comments, footerComments),
+    heatmap,
+  };
+}
+
+/**
+ * Summarizes the open discussion on a page: thread and comment counts, hottest thread,
+ * distinct participants and the time of the latest comment.
+ * 
+ * @param {Object} page - Page object (id, title, version)
+ * @param {Array} comments - Flat array of the page's open inline comments
+ * @returns {Object} { pageId, title, openThreadCount, commentCount, hottestThread, participantCount,
+ *   lastActivity } where hottestThread is { label, threadCount, inlineMarkerRef } or null
+ */
+export function summarizePage(page, comments) {
+  const ranked = rankParentsByReplies(comments, { status: COMMENT_STATUS.OPEN });
+  const hottest = ranked[0];
+  const lastActivity = comments.reduce((latest, comment) => {
+    const createdAt = comment.version?.createdAt;
+    return createdAt && (!latest || createdAt > latest) ? createdAt : latest;
+  }, null);
+
+  return {
+    pageId: page.id,
+    title: page.title,
+    openThreadCount: ranked.length,
+    commentCount: ranked.reduce((total, thread) => total + thread.threadCount, 0),
+    hottestThread: hottest
+      ? {
+        label: getCommentLabel(hottest, 60),
+        threadCount: hottest.threadCount,
+        inlineMarkerRef: hottest.inlineMarkerRef,
+      }
+      : null,
+    participantCount: groupCommentsByUser(comments, { status: COMMENT_STATUS.OPEN }).length,
+    lastActivity,
+  };
+}
+
+/**
+ * Fetches the open inline comments of the most recently modified pages in a space and
+ * summarizes each page. Pages beyond REQUEST_LIMITS.MAX_SUMMARY_PAGES (or the time budget)
+ * are left out and counted (see fetchCappedPageComments).
+ * 
+ * @param {Object} client - Client from createConfluenceClient
+ * @param {string} spaceId - Confluence space ID
+ * @returns {Promise<Object>} { spaceId, pages: Array of summarizePage results, truncated,
+ *   truncatedCount, truncatedCountIsMinimum }
+ */
+export async function buildSpaceSummary(client, spaceId) {
+  const spacePages = await client.getSpacePages(spaceId, REQUEST_LIMITS.MAX_LISTED_PAGES + 1);
+  const { pageComments, ...truncation } = await fetchCappedPageComments(client, spacePages);
+
+  return {
+    spaceId,
+    pages: pageComments.map(({ page, comments }) => summarizePage(page, comments)),
+    ...truncation,
+  };
+}
+
+/**
+ * Fetches the inline comments of several pages with bounded concurrency. Pages whose fetch
+ * has not started by the deadline are skipped.
+ * 
+ * @param {Object} client - Client from createConfluenceClient
+ * @param {Array} pages - Page objects with id
+ * @param {string} status - Resolution status filter for fetched threads
+ * @param {number} deadline - Time (ms since epoch) after which no new page is fetched
+ * @returns {Promise<Array<{page: Object, comments: Array}>>} Comments per fetched page, in input order
+ */
+async function fetchPageComments(client, pages, status, deadline) {
+  const results = await mapWithConcurrency(
+    pages,
+    REQUEST_LIMITS.PAGE_SUMMARY_CONCURRENCY,
+    async (page) => (Date.now() < deadline
+      ? { page, comments: await client.getInlineComments(page.id, status) }
+      : null)
+  );
+  return results.filter(Boolean);
+}
+
+/**
+ * Fetches the comments of the first REQUEST_LIMITS.MAX_SUMMARY_PAGES listed pages within
+ * REQUEST_LIMITS.SUMMARY_TIME_BUDGET_MS, and reports how many listed pages were left out.
+ * Listings hold at most one page more than REQUEST_LIMITS.MAX_LISTED_PAGES; a listing that
+ * long only gives a lower bound for the count.
+ * 
+ * @param {Object} client - Client from createConfluenceClient
+ * @param {Array} listedPages - Page objects with id, in priority order
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Resolution status filter for fetched threads
+ * @returns {Promise<Object>} { pageComments, truncated, truncatedCount, truncatedCountIsMinimum }
+ *   where pageComments come from fetchPageComments
+ */
+async function fetchCappedPageComments(client, listedPages, status = COMMENT_STATUS.OPEN) {
+  const deadline = Date.now() + REQUEST_LIMITS.SUMMARY_TIME_BUDGET_MS;
+  const pageComments = await fetchPageComments(
+    client,
+    listedPages.slice(0, REQUEST_LIMITS.MAX_SUMMARY_PAGES),
+    status,
+    deadline
+  );
+  const listedCount = Math.min(listedPages.length, REQUEST_LIMITS.MAX_LISTED_PAGES);
+
+  return {
+    pageComments,
+    truncated: listedCount > pageComments.length,
+    truncatedCount: listedCount - pageComments.length,
+    truncatedCountIsMinimum: listedPages.length > REQUEST_LIMITS.MAX_LISTED_PAGES,
+  };
+}
+
+/**
+ * Aggregates the open discussion on every descendant of a page: per-page summaries
+ * (ranked by comment count) and author counts combined across all descendants.
+ * Descendants beyond REQUEST_LIMITS.MAX_SUMMARY_PAGES (or the time budget) are left out
+ * and counted (see fetchCappedPageComments).
+ * 
+ * @param {Object} client - Client from createConfluenceClient
+ * @param {string} pageId - Confluence page ID of the tree's root
+ * @returns {Promise<Object>} { pageId, pages, authors, truncated, truncatedCount, truncatedCountIsMinimum }
+ *   where pages are summarizePage results with parentId and depth, and authors are
+ *   { authorId, commentCount } sorted by commentCount
+ */
+export async function buildPageTreeSummary(client, pageId) {
+  const descendants = await client.getPageDescendants(pageId, REQUEST_LIMITS.MAX_LISTED_PAGES + 1);
+  const { pageComments, ...truncation } = await fetchCappedPageComments(client, descendants);
+
+  const pages = pageComments
+    .map(({ page, comments }) => ({
+      ...summarizePage(page, comments),
+      parentId: page.parentId || null,
+      depth: page.depth ?? null,
+    }))
+    .sort((a, b) => b.commentCount - a.commentCount);
+
+  const authors = mergeUserCounts(
+    ...pageComments.map(({ comments }) => groupCommentsByUser(comments, { status: COMMENT_STATUS.OPEN }))
+  ).map(({ authorId, commentCount }) => ({ authorId, commentCount }));
+
+  return {
+    pageId,
+    pages,
+    authors,
+    ...truncation,
+  };
+}
+
+/**
+ * Lists the pages a leaderboard scope covers, up to one page more than
+ * REQUEST_LIMITS.MAX_LISTED_PAGES (see fetchCappedPageComments).
+ */
+async function getScopePages(client, { scope, spaceId, pageId, label }) {
+  const limit = REQUEST_LIMITS.MAX_LISTED_PAGES + 1;
+  switch (scope) {
+    case LEADERBOARD_SCOPE.SPACE:
+      return client.getSpacePages(spaceId, limit);
+    case LEADERBOARD_SCOPE.TREE:
+      return [{ id: pageId }, ...await client.getPageDescendants(pageId, limit - 1)];
+    case LEADERBOARD_SCOPE.LABEL:
+      return client.getLabelPages(label, limit);
+    default:
+      throw new Error(`Unknown leaderboard scope: ${scope}`);
+  }
+}
+
+/**
+ * Builds the reviewer leaderboard for a set of pages: per-author comment counts split into
+ * new threads and replies, and the number of pages each author commented on.
+ * Threads of any resolution status are counted. Pages beyond REQUEST_LIMITS.MAX_SUMMARY_PAGES
+ * (or the time budget) are left out and counted (see fetchCappedPageComments).
+ * 
+ * @param {Object} client - Client from createConfluenceClient
+ * @param {Object} params
+ * @param {string} params.scope - One of LEADERBOARD_SCOPE
+ * @param {string} [params.spaceId] - Space ID (LEADERBOARD_SCOPE.SPACE)
+ * @param {string} [params.pageId] - Root page ID (LEADERBOARD_SCOPE.TREE)
+ * @param {string} [params.label] - Label name (LEADERBOARD_SCOPE.LABEL)
+ * @returns {Promise<Object>} { scope, pageCount, reviewers, truncated, truncatedCount,
+ *   truncatedCountIsMinimum } where reviewers come from buildReviewerLeaderboard
+ */
+export async function buildLeaderboard(client, params) {
+  const scopePages = await getScopePages(client, params);
+  const { pageComments, ...truncation } = await fetchCappedPageComments(
+    client,
+    scopePages,
+    COMMENT_STATUS.ALL
+  );
+
+  return {
+    scope: params.scope,
+    pageCount: pageComments.length,
+    reviewers: buildReviewerLeaderboard(
+      pageComments.map(({ page, comments }) => ({ pageId: page.id, comments })),
+      { status: COMMENT_STATUS.ALL }
+    ),
+    ...truncation,
+  };
+}
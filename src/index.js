@@ -4,9 +4,97 @@
  */
 
 import Resolver from '@forge/resolver';
+import api from '@forge/api';
+import { createConfluenceClient } from './confluence';
+import {
+  buildHeatmapData,
+  buildLeaderboard,
+  buildPageTreeSummary,
+  buildSpaceSummary,
+  compactPage,
+} from './heatmapData';
+import { loadSnapshot, saveSnapshot } from './snapshotStore';
+import { COMMENT_STATUS } from '../static/heatmap/src/constants';
 
 const resolver = new Resolver();
 
-// Add resolver functions here if needed in the future
+/**
+ * Checks whether a snapshot computed for one status filter can serve another.
+ */
+function snapshotCoversStatus(snapshot, status) {
+  return snapshot.status === COMMENT_STATUS.ALL || snapshot.status === status;
+}
+
+/**
+ * Returns the aggregated heatmap payload for a page (see buildHeatmapData), fetched as the current user.
+ * 
+ * A stored snapshot for the current page version is served immediately with cached: true;
+ * the frontend then calls again with revalidate: true to fetch fresh comments. Fresh results
+ * replace the snapshot when the comment signature or fetched status differs, as long as their
+ * status covers the stored one: an `open` revalidation never overwrites an `all` snapshot.
+ * Payload: { pageId: string, status?: 'open' | 'resolved' | 'all', revalidate?: boolean }
+ */
+resolver.define('getHeatmapData', async ({ payload }) => {
+  const { pageId, status = COMMENT_STATUS.OPEN, revalidate = false } = payload || {};
+  const fetchStatus = Object.values(COMMENT_STATUS).includes(status) ? status : COMMENT_STATUS.OPEN;
+  const client = createConfluenceClient(api.asUser());
+
+  // The page is always fetched fresh: its version decides whether the snapshot is still valid
+  const page = await client.getPage(pageId);
+  const snapshot = await loadSnapshot(pageId, page.version?.number ?? null);
+
+  if (!revalidate && snapshot && snapshotCoversStatus(snapshot, fetchStatus)) {
+    return {
+      page: compactPage(page),
+      comments: snapshot.comments,
+      footerComments: snapshot.footerComments,
+      status: snapshot.status,
+      signature: snapshot.signature,
+      heatmap: snapshot.heatmap,
+      cached: true,
+    };
+  }
+
+  const data = await buildHeatmapData(client, pageId, { status: fetchStatus, page });
+  // A load without footer comments is served but never stored, so it can't mask them later
+  const replacesSnapshot = !data.footerError && (!snapshot || (
+    snapshotCoversStatus(data, snapshot.status)
+    && (snapshot.signature !== data.signature || snapshot.status !== data.status)
+  ));
+  if (replacesSnapshot) {
+    await saveSnapshot(pageId, data);
+  }
+  return { ...data, cached: false };
+});
+
+/**
+ * Summarizes the open discussion on every page of a space (see buildSpaceSummary).
+ * The space comes from the space page module's context; a payload spaceId is only used
+ * when the context has none.
+ * Payload: { spaceId?: string }
+ */
+resolver.define('getSpaceSummary', async ({ payload, context }) => {
+  const spaceId = String(context?.extension?.space?.id ?? payload?.spaceId ?? '');
+  return buildSpaceSummary(createConfluenceClient(api.asUser()), spaceId);
+});
+
+/**
+ * Aggregates the open discussion on every descendant of a page (see buildPageTreeSummary).
+ * Payload: { pageId: string }
+ */
+resolver.define('getPageTreeSummary', async ({ payload }) => {
+  return buildPageTreeSummary(createConfluenceClient(api.asUser()), payload?.pageId);
+});
+
+/**
+ * Builds the reviewer leaderboard for a space, a page tree or a label (see buildLeaderboard).
+ * For the space scope, a payload spaceId takes precedence over the space page module's context.
+ * Payload: { scope: 'space' | 'tree' | 'label', spaceId?: string, pageId?: string, label?: string }
+ */
+resolver.define('getReviewerLeaderboard', async ({ payload, context }) => {
+  const { scope, pageId, label } = payload || {};
+  const spaceId = String(payload?.spaceId ?? context?.extension?.space?.id ?? '');
+  return buildLeaderboard(createConfluenceClient(api.asUser()), { scope, spaceId, pageId, label });
+});
 
 export const handler = resolver.getDefinitions();
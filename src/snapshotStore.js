@@ -0,0 +1,76 @@
+/**
+ * Heatmap Snapshot Store
+ * Caches computed heatmap data in Forge storage so a page can be served without
+ * re-downloading every comment.
+ * 
+ * One snapshot is kept per page, under HEATMAP_SNAPSHOT.KEY_PREFIX + pageId, as
+ * { schemaVersion, pageVersion, status, signature, storedAt, comments, footerComments, heatmap }.
+ * The page body is not stored (it is fetched on every request to read the current version).
+ * A snapshot is only valid for the page version it was computed from; the comment
+ * signature detects added, edited, deleted or (un)resolved comments on top of that.
+ * Storage failures are logged and treated as a cache miss.
+ */
+
+import { storage } from '@forge/api';
+import { HEATMAP_SNAPSHOT } from '../static/heatmap/src/constants';
+
+function getKey(pageId) {
+  return `${HEATMAP_SNAPSHOT.KEY_PREFIX}${pageId}`;
+}
+
+/**
+ * Loads the stored snapshot for a page if it matches the current page version.
+ * 
+ * @param {string} pageId - Confluence page ID
+ * @param {number|null} pageVersion - Current page version number
+ * @returns {Promise<Object|null>} Snapshot, or null if missing, outdated or unreadable
+ */
+export async function loadSnapshot(pageId, pageVersion) {
+  try {
+    const snapshot = await storage.get(getKey(pageId));
+    if (
+      !snapshot
+      || snapshot.schemaVersion !== HEATMAP_SNAPSHOT.SCHEMA_VERSION
+      || snapshot.pageVersion !== pageVersion
+    ) {
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    console.warn(`Failed to read heatmap snapshot for page ${pageId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Stores heatmap data as the page's snapshot, replacing any previous one.
+ * Snapshots larger than HEATMAP_SNAPSHOT.MAX_BYTES are skipped.
+ * 
+ * @param {string} pageId - Confluence page ID
+ * @param {Object} data - Payload from buildHeatmapData
+ * @returns {Promise<boolean>} True if the snapshot was written
+ */
+export async function saveSnapshot(pageId, data) {
+  const snapshot = {
+    schemaVersion: HEATMAP_SNAPSHOT.SCHEMA_VERSION,
+    pageVersion: data.page.version.number,
+    status: data.status,
+    signature: data.signature,
+    storedAt: Date.now(),
+    comments: data.comments,
+    footerComments: data.footerComments,
+    heatmap: data.heatmap,
+  };
+
+  if (Buffer.byteLength(JSON.stringify(snapshot)) > HEATMAP_SNAPSHOT.MAX_BYTES) {
+    return false;
+  }
+
+  try {
+    await storage.set(getKey(pageId), snapshot);
+    return true;
+  } catch (error) {
+    console.warn(`Failed to store heatmap snapshot for page ${pageId}:`, error);
+    return false;
+  }
+}
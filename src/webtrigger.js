@@ -0,0 +1,105 @@
+/**
+ * Forge Web Trigger
+ * Serves a page's heatmap aggregates as JSON for tooling outside Confluence.
+ * Uses the same aggregation as the getHeatmapData resolver (buildHeatmapData),
+ * so scores, rankings and author counts match what the app shows.
+ */
+
+import api from '@forge/api';
+import { createHash, timingSafeEqual } from 'crypto';
+import { ConfluenceApiError, createConfluenceClient, isValidContentId } from './confluence';
+import { buildHeatmapData } from './heatmapData';
+import { COMMENT_STATUS, ERROR_MESSAGES } from '../static/heatmap/src/constants';
+
+// Forge environment variable holding the token callers must send as "Authorization: Bearer <token>"
+const TOKEN_VARIABLE = 'HEATMAP_WEBTRIGGER_TOKEN';
+
+/**
+ * Builds a web trigger response with a JSON body.
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': ['application/json'] },
+    body: JSON.stringify(body),
+  };
+}
+
+/**
+ * Reads a query parameter (web triggers receive every parameter as an array).
+ */
+function getQueryParameter(request, name) {
+  const value = request.queryParameters?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Reads a request header case-insensitively (web triggers receive header values as arrays).
+ */
+function getHeader(request, name) {
+  const entry = Object.entries(request.headers || {})
+    .find(([key]) => key.toLowerCase() === name);
+  return Array.isArray(entry?.[1]) ? entry[1][0] : entry?.[1];
+}
+
+/**
+ * Checks the request's bearer token against the configured one in constant time.
+ * Web trigger URLs need no Atlassian login, so requests are refused outright
+ * while no token is configured.
+ */
+function isAuthorized(request) {
+  const expected = process.env[TOKEN_VARIABLE];
+  const provided = getHeader(request, 'authorization')?.replace(/^Bearer\s+/i, '');
+  if (!expected || !provided) return false;
+
+  // Hash both sides so timingSafeEqual compares equal-length buffers
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Returns the heatmap aggregates of a page, fetched as the app.
+ *
+ * Request: GET <web trigger URL>?pageId=12345[&status=open|resolved|all]
+ * with an "Authorization: Bearer <token>" header matching HEATMAP_WEBTRIGGER_TOKEN.
+ *
+ * Response body: { page: { id, title, version }, status, markerScores, markerClasses, threads, authors },
+ * where markerScores maps each inline marker ref to its heat level, 0 (quiet) to 3 (hottest), as in colorStrip.js;
+ * threads are ranked by comment count and authors by their number of comments.
+ *
+ * @param {Object} request - Web trigger request (method, headers, queryParameters)
+ * @returns {Promise<Object>} Web trigger response
+ */
+export async function handler(request) {
+  if (!isAuthorized(request)) {
+    return jsonResponse(401, { error: 'Unauthorized' });
+  }
+
+  const pageId = getQueryParameter(request, 'pageId');
+  const status = getQueryParameter(request, 'status') || COMMENT_STATUS.OPEN;
+  if (!isValidContentId(pageId)) {
+    return jsonResponse(400, { error: ERROR_MESSAGES.MISSING_PAGE_ID });
+  }
+  if (!Object.values(COMMENT_STATUS).includes(status)) {
+    return jsonResponse(400, { error: `Unknown status: ${status}` });
+  }
+
+  try {
+    const data = await buildHeatmapData(createConfluenceClient(api.asApp()), pageId, { status });
+    const { markerScores, markerClasses, threads, authors } = data.heatmap[status];
+    return jsonResponse(200, {
+      page: { id: data.page.id, title: data.page.title, version: data.page.version },
+      status,
+      markerScores,
+      markerClasses,
+      threads,
+      authors,
+    });
+  } catch (err) {
+    if (err instanceof ConfluenceApiError && err.status === 404) {
+      return jsonResponse(404, { error: 'Page not found' });
+    }
+    console.error('Heatmap web trigger failed:', err);
+    return jsonResponse(502, { error: err.message || ERROR_MESSAGES.UNEXPECTED_ERROR });
+  }
+}
@@ -0,0 +1,348 @@
+import { lazy, Suspense, useDeferredValue, useMemo, useRef, useState } from "react";
+import { usePageData } from "./hooks/usePageData";
+import { usePageVersions } from "./hooks/usePageVersions";
+import { useHeatmapHtml } from "./hooks/useHeatmapHtml";
+import { useCommentPopup } from "./hooks/useCommentPopup";
+import { useDecayClock } from "./hooks/useDecayClock";
+import CommentPopup from "./components/CommentPopup";
+import StatusSwitcher from "./components/StatusSwitcher";
+import ScoringStrategyPicker from "./components/ScoringStrategyPicker";
+import HeatScalePicker from "./components/HeatScalePicker";
+import HalfLifePicker from "./components/HalfLifePicker";
+import HighlightModePicker from "./components/HighlightModePicker";
+import FooterCommentsPanel from "./components/FooterCommentsPanel";
+import PageTreePanel from "./components/PageTreePanel";
+import ReviewerLeaderboard from "./components/ReviewerLeaderboard";
+import VersionPicker from "./components/VersionPicker";
+import TimeScrubber from "./components/TimeScrubber";
+import ExportActions from "./components/ExportActions";
+import SnapshotExport from "./components/SnapshotExport";
+import ReviewReportActions from "./components/ReviewReportActions";
+import UnansweredThreadsPanel from "./components/UnansweredThreadsPanel";
+import Heading from "@atlaskit/heading";
+import InlineMessage from "@atlaskit/inline-message";
+import Spinner from "@atlaskit/spinner";
+import { filterCommentsAsOf, filterCommentsByTimeWindow } from "./utils/commentFilters";
+import { findUnansweredThreads } from "./utils/commentRanking";
+import { APP_INTENT_LEXICON } from "./utils/intentClassifier";
+import { formatTimeRange } from "./utils/timeline";
+import { DEFAULT_SCORING_STRATEGY, getStrategyValueType } from "./utils/scoringStrategies";
+import { DEFAULT_HEAT_SCALE, isDefaultHeatScale, normalizeHeatScale } from "./utils/heatScale";
+import { HALF_LIFE_DAYS, HIGHLIGHT_MODE, SCORING_STRATEGY, THREAD_SORT, UI_LABELS } from "./constants";
+
+// Lazy load chart components to reduce initial bundle size
+// ECharts library will only be loaded when charts are rendered
+const CommentRepliesChart = lazy(() => import("./components/CommentRepliesChart"));
+const CommentsByUserChart = lazy(() => import("./components/CommentsByUserChart"));
+const CommentTimelineChart = lazy(() => import("./components/CommentTimelineChart"));
+const IntentBreakdownChart = lazy(() => import("./components/IntentBreakdownChart"));
+
+export default function PageHeatmap() {
+  const {
+    page,
+    baseUrl,
+    heatmap,
+    comments: latestComments,
+    footerComments: allFooterComments,
+    footerError,
+    status,
+    setStatus,
+    isRefreshing,
+    error,
+    isErrorRetryable,
+    isLoading,
+    loadedCommentCount,
+    loadPageData,
+  } = usePageData();
+  const {
+    versions,
+    selectedVersion,
+    selectVersion,
+    versionPage,
+    comments: versionComments,
+    markerDiff,
+    addedMarkerRefs,
+    isLoadingVersion,
+    versionError,
+  } = usePageVersions({ page, comments: latestComments });
+  // "As of" time from the replay scrubber; deferred so dragging stays responsive
+  const [asOf, setAsOf] = useState(null);
+  const deferredAsOf = useDeferredValue(asOf);
+  const asOfComments = useMemo(
+    () => filterCommentsAsOf(versionComments, deferredAsOf),
+    [versionComments, deferredAsOf]
+  );
+  const asOfFooterComments = useMemo(
+    () => filterCommentsAsOf(allFooterComments, deferredAsOf),
+    [allFooterComments, deferredAsOf]
+  );
+  // Time window picked on the activity timeline; narrows the heatmap and other charts
+  const [timeWindow, setTimeWindow] = useState(null);
+  const comments = useMemo(
+    () => filterCommentsByTimeWindow(asOfComments, timeWindow),
+    [asOfComments, timeWindow]
+  );
+  const footerComments = useMemo(
+    () => filterCommentsByTimeWindow(asOfFooterComments, timeWindow),
+    [asOfFooterComments, timeWindow]
+  );
+  // Whether the page highlights show thread heat or thread intent
+  const [highlightMode, setHighlightMode] = useState(HIGHLIGHT_MODE.HEAT);
+  // One lexicon for the popup tags, the intent chart and intent highlights
+  const intentLexicon = APP_INTENT_LEXICON;
+  // How thread heat is measured; drives both the page highlights and the thread chart
+  const [scoringStrategy, setScoringStrategy] = useState(DEFAULT_SCORING_STRATEGY);
+  // How ranked threads are split into heat levels (colors)
+  const [heatScale, setHeatScale] = useState(DEFAULT_HEAT_SCALE);
+  // Recency decay of the hot strategy and the trending sort, measured from the replay time if set
+  const [halfLifeDays, setHalfLifeDays] = useState(HALF_LIFE_DAYS.DEFAULT);
+  const [threadSort, setThreadSort] = useState(THREAD_SORT.HEAT);
+  const usesDecay = scoringStrategy === SCORING_STRATEGY.HOT || threadSort === THREAD_SORT.TRENDING;
+  const liveNow = useDecayClock(usesDecay && deferredAsOf === null);
+  const decayNow = deferredAsOf !== null ? new Date(deferredAsOf).getTime() : liveNow;
+  // The resolver's precomputed colors only apply to the unfiltered latest page under the default
+  // strategy and scale
+  const isFiltered = Boolean(versionPage || timeWindow || deferredAsOf !== null);
+  const canUsePrecomputed = !isFiltered
+    && scoringStrategy === DEFAULT_SCORING_STRATEGY
+    && isDefaultHeatScale(heatScale);
+  // Threads nobody but their author has replied to, flagged on the page and listed in the sidebar
+  const unansweredThreads = useMemo(
+    () => findUnansweredThreads(comments, { status }),
+    [comments, status]
+  );
+  const unansweredMarkerRefs = useMemo(
+    () => unansweredThreads.map((thread) => thread.inlineMarkerRef).filter(Boolean),
+    [unansweredThreads]
+  );
+  const html = useHeatmapHtml({
+    page: versionPage || page,
+    baseUrl,
+    comments,
+    status,
+    highlightMode,
+    intentLexicon,
+    scoringStrategy,
+    heatScale,
+    halfLifeDays,
+    now: decayNow,
+    markerClasses: canUsePrecomputed ? heatmap?.[status]?.markerClasses : null,
+    addedMarkerRefs,
+    unansweredMarkerRefs,
+  });
+  const [includeFooterInAuthors, setIncludeFooterInAuthors] = useState(true);
+  const { popup, onClose, openPopupForMarker } = useCommentPopup(html, isLoading, comments);
+  // Captured by the snapshot export
+  const sidebarRef = useRef(null);
+  const bodyRef = useRef(null);
+
+  if (error) {
+    return (
+      <div className="conf-container">
+        <InlineMessage type="error" title="Error loading page">
+          {error}
+        </InlineMessage>
+        {isErrorRetryable && (
+          <button type="button" className="conf-retry-button" onClick={loadPageData}>
+            {UI_LABELS.TRY_AGAIN}
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (isLoading || !page) {
+    return (
+      <div className="conf-container conf-loading-container">
+        <Spinner size="medium" />
+        <span>
+          {loadedCommentCount > 0
+            ? UI_LABELS.LOADED_COMMENTS(loadedCommentCount)
+            : UI_LABELS.LOADING}
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <input
+        type="checkbox"
+        id="conf-sidebar-toggle"
+        className="conf-sidebar-checkbox"
+        aria-label="Toggle sidebar"
+      />
+      <label className="conf-sidebar-toggle" htmlFor="conf-sidebar-toggle">
+        <span className="conf-chevron-left">‹</span> 
+        <span className="conf-chevron-right">›</span>
+      </label>
+
+      <aside className="conf-sidebar" ref={sidebarRef}>
+        <div className="conf-sidebar-spacer"></div>
+        <StatusSwitcher
+          value={status}
+          onChange={setStatus}
+          isRefreshing={isRefreshing}
+        />
+        <HighlightModePicker value={highlightMode} onChange={setHighlightMode} />
+        <ScoringStrategyPicker value={scoringStrategy} onChange={setScoringStrategy} />
+        {usesDecay && (
+          <HalfLifePicker value={halfLifeDays} onChange={setHalfLifeDays} />
+        )}
+        {highlightMode === HIGHLIGHT_MODE.HEAT && (
+          <HeatScalePicker
+            value={heatScale}
+            onChange={setHeatScale}
+            valueType={getStrategyValueType(scoringStrategy)}
+          />
+        )}
+        {timeWindow && (
+          <div className="conf-time-window">
+            <span>{UI_LABELS.TIME_WINDOW(formatTimeRange(timeWindow))}</span>
+            <button type="button" onClick={() => setTimeWindow(null)}>
+              {UI_LABELS.CLEAR_TIME_WINDOW}
+            </button>
+          </div>
+        )}
+        <UnansweredThreadsPanel threads={unansweredThreads} onSelect={openPopupForMarker} />
+        <div className="conf-chart-section">
+          <Heading as="h4">Comment Activity</Heading>
+          <Suspense fallback={
+            <div className="conf-chart-empty">
+              <Spinner size="small" />
+            </div>
+          }>
+            <CommentTimelineChart
+              comments={asOfComments}
+              status={status}
+              timeWindow={timeWindow}
+              onWindowChange={setTimeWindow}
+            />
+          </Suspense>
+        </div>
+        <div className="conf-chart-section">
+          <Heading as="h4">Number of Comments by Thread</Heading>
+          <label className="conf-chart-toggle">
+            <input
+              type="checkbox"
+              checked={threadSort === THREAD_SORT.TRENDING}
+              onChange={(e) => setThreadSort(e.target.checked ? THREAD_SORT.TRENDING : THREAD_SORT.HEAT)}
+            />
+            {UI_LABELS.SORT_TRENDING}
+          </label>
+          <Suspense fallback={
+            <div className="conf-chart-empty">
+              <Spinner size="small" />
+            </div>
+          }>
+            <CommentRepliesChart
+              comments={comments}
+              status={status}
+              maxItems={20}
+              onBarClick={openPopupForMarker}
+              scoringStrategy={scoringStrategy}
+              heatScale={heatScale}
+              sort={threadSort}
+              halfLifeDays={halfLifeDays}
+              now={decayNow}
+            />
+          </Suspense>
+        </div>
+        <div className="conf-chart-section">
+          <Heading as="h4">Threads by Intent</Heading>
+          <Suspense fallback={
+            <div className="conf-chart-empty">
+              <Spinner size="small" />
+            </div>
+          }>
+            <IntentBreakdownChart comments={comments} status={status} lexicon={intentLexicon} />
+          </Suspense>
+        </div>
+        <div className="conf-chart-section">
+          <Heading as="h4">Number of Comments by Author</Heading>
+          <label className="conf-chart-toggle">
+            <input
+              type="checkbox"
+              checked={includeFooterInAuthors}
+              onChange={(e) => setIncludeFooterInAuthors(e.target.checked)}
+            />
+            {UI_LABELS.INCLUDE_FOOTER_COMMENTS}
+          </label>
+          <Suspense fallback={
+            <div className="conf-chart-empty">
+              <Spinner size="small" />
+            </div>
+          }>
+            <CommentsByUserChart
+              comments={comments}
+              footerComments={footerComments}
+              includeFooter={includeFooterInAuthors}
+              status={status}
+              maxItems={10}
+            />
+          </Suspense>
+        </div>
+        <ExportActions
+          comments={comments}
+          footerComments={footerComments}
+          includeFooter={includeFooterInAuthors}
+          status={status}
+          pageTitle={page.title}
+        />
+        <ReviewReportActions
+          comments={comments}
+          footerComments={footerComments}
+          includeFooter={includeFooterInAuthors}
+          status={status}
+          pageTitle={page.title}
+        />
+        <SnapshotExport
+          bodyRef={bodyRef}
+          chartContainerRef={sidebarRef}
+          pageTitle={page.title}
+          status={status}
+          levels={normalizeHeatScale(heatScale).levels}
+          highlightMode={highlightMode}
+        />
+      </aside>
+
+      <main className="conf-main">
+        <div className="conf-container">
+          <Heading as="h1" size="xlarge">
+            {page?.title || UI_LABELS.UNTITLED_PAGE}
+          </Heading>
+          <VersionPicker
+            versions={versions}
+            selectedVersion={selectedVersion}
+            onChange={selectVersion}
+            markerDiff={markerDiff}
+            comments={latestComments}
+            isLoading={isLoadingVersion}
+            error={versionError}
+          />
+          <TimeScrubber
+            comments={versionComments}
+            asOf={asOf}
+            onChange={setAsOf}
+          />
+          <div
+            ref={bodyRef}
+            className="conf-body"
+            dangerouslySetInnerHTML={{ __html: html }}
+          />
+          <FooterCommentsPanel comments={footerComments} error={footerError} />
+          <PageTreePanel pageId={page.id} />
+          <ReviewerLeaderboard pageId={page.id} spaceId={page.spaceId ? String(page.spaceId) : null} />
+        </div>
+      </main>
+
+      <CommentPopup
+        visible={popup.visible}
+        y={popup.y}
+        comments={popup.comments}
+        onClose={onClose}
+        lexicon={intentLexicon}
+      />
+    </>
+  );
+}
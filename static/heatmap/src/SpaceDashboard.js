@@ -0,0 +1,171 @@
+import { useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import Heading from "@atlaskit/heading";
+import InlineMessage from "@atlaskit/inline-message";
+import Spinner from "@atlaskit/spinner";
+import ReviewerLeaderboard from "./components/ReviewerLeaderboard";
+import { useSpaceSummary } from "./hooks/useSpaceSummary";
+import { navigateToPageHeatmap } from "./utils/navigation";
+import { formatCommentDate } from "./utils/commentPopup";
+import { UI_LABELS } from "./constants";
+
+// Sort value of each column; columns sort descending first except the title
+const SORT_ACCESSORS = {
+  title: (page) => (page.title || "").toLowerCase(),
+  openThreadCount: (page) => page.openThreadCount,
+  hottestThread: (page) => page.hottestThread?.threadCount || 0,
+  participantCount: (page) => page.participantCount,
+  lastActivity: (page) => page.lastActivity || "",
+};
+
+/**
+ * Space page view listing every page in the space with its open thread count,
+ * hottest thread, participant count and last comment activity.
+ * Columns are sortable and the list can be filtered by title; clicking a page
+ * opens its heatmap. A reviewer leaderboard for the space (or a label) sits below the table.
+ *
+ * @param {string|null} [spaceKey] - Key of the current space, passed on to page heatmaps
+ * @param {string|null} [spaceId] - ID of the current space, for the reviewer leaderboard
+ */
+export default function SpaceDashboard({ spaceKey, spaceId }) {
+  const { pages, truncation, error, isLoading, loadSummary } = useSpaceSummary();
+  const [sort, setSort] = useState({ key: "openThreadCount", descending: true });
+  const [query, setQuery] = useState("");
+  const [onlyDiscussed, setOnlyDiscussed] = useState(true);
+
+  const visiblePages = useMemo(() => {
+    const normalizedQuery = query.trim().toLowerCase();
+    const accessor = SORT_ACCESSORS[sort.key];
+    const direction = sort.descending ? -1 : 1;
+
+    return pages
+      .filter((page) => !onlyDiscussed || page.openThreadCount > 0)
+      .filter((page) => !normalizedQuery || (page.title || "").toLowerCase().includes(normalizedQuery))
+      .sort((a, b) => {
+        const valueA = accessor(a);
+        const valueB = accessor(b);
+        if (valueA === valueB) return 0;
+        return valueA < valueB ? -direction : direction;
+      });
+  }, [pages, query, onlyDiscussed, sort]);
+
+  const onSort = (key) => {
+    setSort((current) => ({
+      key,
+      descending: current.key === key ? !current.descending : key !== "title",
+    }));
+  };
+
+  const openPage = (pageId) => {
+    navigateToPageHeatmap(pageId, spaceKey).catch((err) => {
+      console.error("Failed to open page heatmap:", err);
+    });
+  };
+
+  if (error) {
+    return (
+      <div className="conf-container">
+        <InlineMessage type="error" title="Error loading space">
+          {error}
+        </InlineMessage>
+        <button type="button" className="conf-retry-button" onClick={loadSummary}>
+          {UI_LABELS.TRY_AGAIN}
+        </button>
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="conf-container conf-loading-container">
+        <Spinner size="medium" />
+        <span>{UI_LABELS.LOADING}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="conf-container conf-space-dashboard">
+      <Heading as="h1" size="xlarge">
+        {UI_LABELS.SPACE_DASHBOARD_TITLE}
+      </Heading>
+
+      <div className="conf-space-filters">
+        <input
+          type="search"
+          value={query}
+          placeholder={UI_LABELS.FILTER_PAGES}
+          aria-label={UI_LABELS.FILTER_PAGES}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <label className="conf-chart-toggle">
+          <input
+            type="checkbox"
+            checked={onlyDiscussed}
+            onChange={(e) => setOnlyDiscussed(e.target.checked)}
+          />
+          {UI_LABELS.ONLY_DISCUSSED_PAGES}
+        </label>
+      </div>
+
+      {truncation && (
+        <div className="conf-space-note">
+          {UI_LABELS.SPACE_TRUNCATED(pages.length, truncation.count, truncation.isMinimum)}
+        </div>
+      )}
+
+      {visiblePages.length === 0 ? (
+        <div className="conf-chart-empty">{UI_LABELS.NO_MATCHING_PAGES}</div>
+      ) : (
+        <table className="conf-space-table">
+          <thead>
+            <tr>
+              {Object.keys(SORT_ACCESSORS).map((key) => (
+                <th
+                  key={key}
+                  aria-sort={sort.key === key ? (sort.descending ? "descending" : "ascending") : "none"}
+                >
+                  <button type="button" onClick={() => onSort(key)}>
+                    {UI_LABELS.SPACE_COLUMNS[key]}
+                    {sort.key === key && (sort.descending ? " ↓" : " ↑")}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visiblePages.map((page) => (
+              <tr key={page.pageId}>
+                <td>
+                  <button type="button" className="conf-space-page-link" onClick={() => openPage(page.pageId)}>
+                    {page.title || UI_LABELS.UNTITLED_PAGE}
+                  </button>
+                </td>
+                <td>{page.openThreadCount}</td>
+                <td>
+                  {page.hottestThread
+                    ? `${page.hottestThread.label} (${page.hottestThread.threadCount})`
+                    : UI_LABELS.NO_ACTIVITY}
+                </td>
+                <td>{page.participantCount}</td>
+                <td>{page.lastActivity ? formatCommentDate(page.lastActivity) : UI_LABELS.NO_ACTIVITY}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <ReviewerLeaderboard spaceId={spaceId} defaultExpanded />
+    </div>
+  );
+}
+
+SpaceDashboard.propTypes = {
+  spaceKey: PropTypes.string,
+  spaceId: PropTypes.string,
+};
+
+SpaceDashboard.defaultProps = {
+  spaceKey: null,
+  spaceId: null,
+};
@@ -1,25 +1,185 @@
 import { requestConfluence } from "@forge/bridge";
-import { HTTP_HEADERS } from "../constants";
+import { ERROR_MESSAGES, HTTP_HEADERS, RETRY_CONFIG } from "../constants";
+import { abortable, isAbortError, sleep, throwIfAborted } from "../utils/abort";
+
+/**
+ * Error raised when a Confluence API request fails.
+ * Carries enough structure for callers to decide how to surface or recover from it.
+ * 
+ * @property {number|null} status - HTTP status code, or null for network failures
+ * @property {boolean} retryable - Whether repeating the request could succeed
+ * @property {string|null} endpoint - URL of the request that failed
+ * @property {string|null} details - Raw response body or underlying error message
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, retryable = false, endpoint = null, details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryable = retryable;
+    this.endpoint = endpoint;
+    this.details = details;
+  }
+}
+
+/**
+ * Builds a readable failure message for an HTTP status.
+ * 
+ * @param {string} errorContext - Context label (e.g. 'Page API')
+ * @param {number} status - HTTP status code
+ * @returns {string} Message such as "Page API failed: HTTP 404 (the requested content was not found)"
+ */
+function describeHttpFailure(errorContext, status) {
+  const hint = ERROR_MESSAGES.HTTP_STATUS_HINTS[status]
+    || (status >= 500 ? ERROR_MESSAGES.SERVER_ERROR_HINT : null);
+  return `${errorContext} failed: HTTP ${status}${hint ? ` (${hint})` : ''}`;
+}
+
+/**
+ * Parses a Retry-After header value (delay in seconds or an HTTP date) into milliseconds.
+ * 
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Calculates how long to wait before the next attempt.
+ * Honours Retry-After when the server sends it; otherwise uses exponential
+ * backoff with full jitter so concurrent callers don't retry in lockstep.
+ * 
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {Object} [response] - Failed response, if one was received
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, response) {
+  const retryAfter = parseRetryAfter(response?.headers?.get?.('Retry-After'));
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, RETRY_CONFIG.MAX_RETRY_AFTER_MS);
+  }
+
+  const backoff = Math.min(
+    RETRY_CONFIG.BASE_DELAY_MS * 2 ** (attempt - 1),
+    RETRY_CONFIG.MAX_DELAY_MS
+  );
+  return Math.random() * backoff;
+}
 
 /**
  * Shared API client wrapper for Confluence API GET requests only.
- * Centralizes error handling and JSON response parsing.
+ * Centralizes error handling, retries and JSON response parsing.
+ * 
+ * Rate-limited (429) and transient server responses, as well as network failures,
+ * are retried with exponential backoff until the attempt budget is spent.
+ * 
+ * When a signal is given, aborting it rejects the call with an AbortError and
+ * stops any further attempts. A request already sent over the bridge still
+ * completes, but its response is discarded.
  * 
  * @param {string} url - Full API endpoint URL
  * @param {string} [errorContext='API'] - Context label for error messages
+ * @param {Object} [options={}]
+ * @param {number} [options.maxAttempts=RETRY_CONFIG.MAX_ATTEMPTS] - Total attempts, including the first
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retries
  * @returns {Promise<Object>} Parsed JSON response data
- * @throws {Error} If request fails or response is not ok
+ * @throws {ApiError} If the request fails and cannot be (or is no longer) retried
+ * @throws {Error} AbortError if the signal is aborted
  */
-export async function getApiRequest(url, errorContext = 'API') {
-  const response = await requestConfluence(url, {
-    method: 'GET',
-    headers: HTTP_HEADERS.JSON
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`${errorContext} failed: HTTP ${response.status}\nURL: ${url}\nResponse:\n${errorText}`);
+export async function getApiRequest(url, errorContext = 'API', { maxAttempts = RETRY_CONFIG.MAX_ATTEMPTS, signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    throwIfAborted(signal);
+
+    let response = null;
+    let error;
+
+    try {
+      response = await abortable(requestConfluence(url, {
+        method: 'GET',
+        headers: HTTP_HEADERS.JSON
+      }), signal);
+    } catch (requestError) {
+      if (isAbortError(requestError)) throw requestError;
+      // No HTTP response at all (e.g. bridge or network failure)
+      error = new ApiError(`${errorContext} failed: ${ERROR_MESSAGES.NETWORK_ERROR}`, {
+        retryable: true,
+        endpoint: url,
+        details: requestError?.message || String(requestError),
+      });
+    }
+
+    if (response?.ok) {
+      return abortable(response.json(), signal);
+    }
+
+    if (response) {
+      const errorText = await response.text().catch(() => '');
+      error = new ApiError(describeHttpFailure(errorContext, response.status), {
+        status: response.status,
+        retryable: RETRY_CONFIG.RETRYABLE_STATUSES.includes(response.status),
+        endpoint: url,
+        details: errorText,
+      });
+    }
+
+    if (!error.retryable || attempt >= maxAttempts) {
+      throw error;
+    }
+
+    await sleep(getRetryDelay(attempt, response), signal);
+  }
+}
+
+/**
+ * Resolves a v2 `_links.next` cursor link into a requestable URL.
+ * The API returns paths relative to the site root (`/wiki/api/v2/...`), but
+ * some responses omit the `/wiki` context path.
+ *
+ * @param {string|undefined} next - Value of `_links.next` from a v2 response
+ * @returns {string|null} URL for the next page, or null if there is none
+ */
+function resolveNextLink(next) {
+  if (!next) return null;
+  return next.startsWith('/wiki/') ? next : `/wiki${next}`;
+}
+
+/**
+ * Fetches every page of a cursor-paginated Confluence v2 collection.
+ * Follows `_links.next` until the API stops returning one and concatenates the results.
+ * 
+ * @param {string} url - Endpoint URL for the first page
+ * @param {string} [errorContext='API'] - Context label for error messages
+ * @param {Object} [options={}]
+ * @param {Function} [options.onPage] - Called with the running result count after each page
+ * @param {number} [options.maxAttempts] - Attempt budget for each page request (see getApiRequest)
+ * @param {AbortSignal} [options.signal] - Stops fetching further pages when aborted
+ * @returns {Promise<Array>} All results across pages
+ * @throws {ApiError} If any page request fails
+ */
+export async function getPaginatedResults(url, errorContext = 'API', { onPage, maxAttempts, signal } = {}) {
+  const results = [];
+  let nextUrl = url;
+
+  while (nextUrl) {
+    const data = await getApiRequest(nextUrl, errorContext, { maxAttempts, signal });
+    if (Array.isArray(data?.results)) {
+      results.push(...data.results);
+    }
+    if (onPage) onPage(results.length);
+
+    const followingUrl = resolveNextLink(data?._links?.next);
+    // Guard against a cursor that points back at the page we just loaded
+    nextUrl = followingUrl !== nextUrl ? followingUrl : null;
   }
 
-  return response.json();
+  return results;
 }
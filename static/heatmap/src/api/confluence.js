@@ -1,47 +1,228 @@
-import { API_ENDPOINTS, ERROR_MESSAGES } from "../constants";
-import { getApiRequest } from "./apiClient";
+import { API_ENDPOINTS, COMMENT_STATUS, ERROR_MESSAGES, REQUEST_LIMITS } from "../constants";
+import { getApiRequest, getPaginatedResults } from "./apiClient";
+import { createLimiter, mapWithConcurrency } from "../utils/concurrency";
+import { mayHaveReplies } from "../utils/commentRanking";
 
 /**
  * Fetches page data from Confluence API.
  * @param {string} pageId - Confluence page ID
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} Page data object
  */
-export async function getPageInfo(pageId) {
+export async function getPageInfo(pageId, { signal } = {}) {
   if (!pageId) {
     throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
   }
-  return getApiRequest(API_ENDPOINTS.PAGE(pageId), 'Page API');
+  return getApiRequest(API_ENDPOINTS.PAGE(pageId), 'Page API', { signal });
 }
 
 /**
- * Fetches inline comments for a page and filters by pageId.
- * Additional filtering ensures we only return comments for the specified page.
+ * Fetches the version history of a page, newest first.
+ * @param {string} pageId - Confluence page ID
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Array>} Versions with number, createdAt, authorId and message
+ */
+export async function getPageVersions(pageId, { signal } = {}) {
+  if (!pageId) {
+    throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
+  }
+  return getPaginatedResults(API_ENDPOINTS.PAGE_VERSIONS(pageId), 'Page versions API', { signal });
+}
+
+/**
+ * Fetches a page as it was at a given version, including that version's storage body.
+ * @param {string} pageId - Confluence page ID
+ * @param {number} versionNumber - Version number to load
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Page data object
+ */
+export async function getPageAtVersion(pageId, versionNumber, { signal } = {}) {
+  if (!pageId) {
+    throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
+  }
+  return getApiRequest(
+    API_ENDPOINTS.PAGE_AT_VERSION(pageId, versionNumber),
+    'Page version API',
+    { signal }
+  );
+}
+
+/**
+ * Fetches every reply of an inline comment thread.
+ * Confluence threads inline replies directly under the root comment, so a single
+ * (paginated) children lookup per root returns the whole thread.
+ * The parent ID is filled in when the children endpoint omits it, so
+ * buildCommentTree can attach each reply to its thread.
+ * 
+ * @param {string} commentId - Root inline comment ID
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the lookup
+ * @returns {Promise<Array>} Array of reply comment objects
+ */
+export async function getInlineCommentReplies(commentId, { signal } = {}) {
+  if (!commentId) {
+    return [];
+  }
+
+  const replies = await getPaginatedResults(
+    API_ENDPOINTS.INLINE_COMMENT_CHILDREN(commentId),
+    'Inline comment replies API',
+    { signal }
+  );
+
+  return replies.map((reply) => ({
+    ...reply,
+    parentCommentId: reply.parentCommentId || commentId,
+  }));
+}
+
+/**
+ * Fetches all inline comments for a page, including every reply of every thread.
+ * Root comments come from the page-scoped endpoint (following the v2 cursor until
+ * exhausted); replies are then loaded per thread with a bounded number of
+ * concurrent requests. Progress is reported as a count only; ranking should not
+ * run until the returned promise resolves.
  * 
  * @param {string} pageId - Confluence page ID
- * @returns {Promise<Array>} Array of inline comment objects
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Resolution status filter for root comments
+ * @param {Function} [options.onProgress] - Called with the number of comments loaded so far
+ * @param {AbortSignal} [options.signal] - Stops fetching further pages and replies when aborted
+ * @returns {Promise<Array>} Flat array of root and reply comment objects
  */
-export async function getInlineComments(pageId) {
+export async function getInlineComments(pageId, { status = COMMENT_STATUS.OPEN, onProgress, signal } = {}) {
   if (!pageId) {
     throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
   }
 
-  const data = await getApiRequest(API_ENDPOINTS.INLINE_COMMENTS(pageId), 'Inline comments API');
-  
-  if (!data || !Array.isArray(data.results)) {
+  const roots = await getPaginatedResults(
+    API_ENDPOINTS.INLINE_COMMENTS(pageId, status),
+    'Inline comments API',
+    { onPage: onProgress, signal }
+  );
+
+  let loadedCount = roots.length;
+  const repliesByThread = await mapWithConcurrency(
+    roots,
+    REQUEST_LIMITS.COMMENT_CHILDREN_CONCURRENCY,
+    async (root) => {
+      const replies = await getInlineCommentReplies(root.id, { signal });
+      loadedCount += replies.length;
+      if (onProgress) onProgress(loadedCount);
+      return replies;
+    }
+  );
+
+  return [...roots, ...repliesByThread.flat()];
+}
+
+/**
+ * Fetches every reply of a footer comment, including replies to replies.
+ * Unlike inline comments, footer comments can nest, so children are fetched
+ * recursively. Every children request of the walk goes through one limiter, so
+ * requests in flight stay capped however deep the thread is, and replies whose
+ * payload shows they have no children are not looked up (see mayHaveReplies).
+ * Parent IDs are filled in when the children endpoint omits them.
+ * 
+ * @param {string} commentId - Footer comment ID
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the lookups
+ * @param {Function} [options.limit] - Limiter from createLimiter shared with other threads
+ *   (defaults to one capped at REQUEST_LIMITS.COMMENT_CHILDREN_CONCURRENCY)
+ * @returns {Promise<Array>} Flat array of all descendant comment objects
+ */
+export async function getFooterCommentReplies(
+  commentId,
+  { signal, limit = createLimiter(REQUEST_LIMITS.COMMENT_CHILDREN_CONCURRENCY) } = {}
+) {
+  if (!commentId) {
     return [];
   }
-  // Filter to ensure comments belong to the specified page (API may return related comments)
-  return data.results.filter((comment) => comment?.pageId === pageId);
+
+  const replies = (await limit(() => getPaginatedResults(
+    API_ENDPOINTS.FOOTER_COMMENT_CHILDREN(commentId),
+    'Footer comment replies API',
+    { signal }
+  ))).map((reply) => ({
+    ...reply,
+    parentCommentId: reply.parentCommentId || commentId,
+  }));
+
+  const nestedReplies = await Promise.all(
+    replies
+      .filter(mayHaveReplies)
+      .map((reply) => getFooterCommentReplies(reply.id, { signal, limit }))
+  );
+
+  return [...replies, ...nestedReplies.flat()];
+}
+
+/**
+ * Fetches all footer (page-level) comments for a page, including every reply.
+ * Footer comments have no resolution status, so they are never filtered by status.
+ * 
+ * @param {string} pageId - Confluence page ID
+ * @param {Object} [options={}]
+ * @param {Function} [options.onProgress] - Called with the number of comments loaded so far
+ * @param {AbortSignal} [options.signal] - Stops fetching further pages and replies when aborted
+ * @returns {Promise<Array>} Flat array of root and reply footer comment objects
+ */
+export async function getFooterComments(pageId, { onProgress, signal } = {}) {
+  if (!pageId) {
+    throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
+  }
+
+  const roots = await getPaginatedResults(
+    API_ENDPOINTS.FOOTER_COMMENTS(pageId),
+    'Footer comments API',
+    { onPage: onProgress, signal }
+  );
+
+  let loadedCount = roots.length;
+  // One limiter for every thread and nesting level of the walk
+  const limit = createLimiter(REQUEST_LIMITS.COMMENT_CHILDREN_CONCURRENCY);
+  const repliesByThread = await Promise.all(
+    roots.filter(mayHaveReplies).map(async (root) => {
+      const replies = await getFooterCommentReplies(root.id, { signal, limit });
+      loadedCount += replies.length;
+      if (onProgress) onProgress(loadedCount);
+      return replies;
+    })
+  );
+
+  return [...roots, ...repliesByThread.flat()];
 }
 
 /**
  * Fetches user information from Confluence API.
  * @param {string} accountId - User account ID
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} User data object
  */
-export async function getUserInfo(accountId) {
+export async function getUserInfo(accountId, { signal } = {}) {
   if (!accountId) {
     throw new Error(ERROR_MESSAGES.MISSING_ACCOUNT_ID);
   }
-  return getApiRequest(API_ENDPOINTS.USER(accountId), 'User API');
+  return getApiRequest(API_ENDPOINTS.USER(accountId), 'User API', { signal });
+}
+
+/**
+ * Fetches several users in one request via the bulk user endpoint.
+ * Users that can't be found are simply absent from the result.
+ * 
+ * @param {Array<string>} accountIds - User account IDs (callers should chunk large lists)
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Array<Object>>} Array of user data objects
+ */
+export async function getUsersBulk(accountIds, { signal } = {}) {
+  if (!accountIds || accountIds.length === 0) {
+    return [];
+  }
+  const data = await getApiRequest(API_ENDPOINTS.USERS_BULK(accountIds), 'Bulk user API', { signal });
+  return Array.isArray(data?.results) ? data.results : [];
 }
@@ -0,0 +1,78 @@
+import { invoke } from "@forge/bridge";
+import { COMMENT_STATUS, ERROR_MESSAGES, RESOLVER_FUNCTIONS } from "../constants";
+import { abortable } from "../utils/abort";
+
+/**
+ * Fetches a page, its comments and precomputed heatmap aggregates through the
+ * app's resolver (see src/index.js), in a single bridge round-trip.
+ * The resolver may answer from a stored snapshot (cached: true); calling again with
+ * revalidate set skips the snapshot and fetches every comment fresh.
+ * 
+ * @param {string} pageId - Confluence page ID
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Resolution status filter for fetched threads
+ * @param {boolean} [options.revalidate=false] - Bypass the stored snapshot
+ * @param {AbortSignal} [options.signal] - Stops waiting for the resolver when aborted
+ * @returns {Promise<Object>} { page, comments, footerComments, status, signature, heatmap, cached }, where
+ *   heatmap maps each covered status to { markerClasses, markerScores, threads, authors }
+ */
+export async function getHeatmapData(pageId, { status = COMMENT_STATUS.OPEN, revalidate = false, signal } = {}) {
+  if (!pageId) {
+    throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
+  }
+  return abortable(invoke(RESOLVER_FUNCTIONS.GET_HEATMAP_DATA, { pageId, status, revalidate }), signal);
+}
+
+/**
+ * Fetches a summary of the open discussion on every page of the current space
+ * through the app's resolver. Only available in the space page module, whose
+ * context identifies the space.
+ * 
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Stops waiting for the resolver when aborted
+ * @returns {Promise<Object>} { spaceId, pages, truncated, truncatedCount, truncatedCountIsMinimum },
+ *   where each page has pageId, title, openThreadCount, hottestThread, participantCount and
+ *   lastActivity, and truncatedCount is the number of pages left out
+ */
+export async function getSpaceSummary({ signal } = {}) {
+  return abortable(invoke(RESOLVER_FUNCTIONS.GET_SPACE_SUMMARY), signal);
+}
+
+/**
+ * Fetches aggregated discussion stats for every descendant of a page through the
+ * app's resolver.
+ * 
+ * @param {string} pageId - Confluence page ID of the tree's root
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Stops waiting for the resolver when aborted
+ * @returns {Promise<Object>} { pageId, pages, authors, truncated, truncatedCount, truncatedCountIsMinimum },
+ *   where pages are ranked by commentCount, authors are { authorId, commentCount } combined across
+ *   all descendants, and truncatedCount is the number of descendants left out
+ */
+export async function getPageTreeSummary(pageId, { signal } = {}) {
+  if (!pageId) {
+    throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID);
+  }
+  return abortable(invoke(RESOLVER_FUNCTIONS.GET_PAGE_TREE_SUMMARY, { pageId }), signal);
+}
+
+/**
+ * Fetches per-reviewer comment stats across a space, a page tree or a label through
+ * the app's resolver.
+ * 
+ * @param {Object} params
+ * @param {string} params.scope - One of LEADERBOARD_SCOPE
+ * @param {string} [params.spaceId] - Space ID for the space scope (defaults to the module's space)
+ * @param {string} [params.pageId] - Root page ID for the tree scope
+ * @param {string} [params.label] - Label name for the label scope
+ * @param {AbortSignal} [params.signal] - Stops waiting for the resolver when aborted
+ * @returns {Promise<Object>} { scope, pageCount, reviewers, truncated, truncatedCount,
+ *   truncatedCountIsMinimum }, where reviewers are { authorId, commentCount, newThreads, replies,
+ *   pagesTouched } ranked by commentCount and truncatedCount is the number of pages left out
+ */
+export async function getReviewerLeaderboard({ scope, spaceId, pageId, label, signal }) {
+  return abortable(
+    invoke(RESOLVER_FUNCTIONS.GET_REVIEWER_LEADERBOARD, { scope, spaceId, pageId, label }),
+    signal
+  );
+}
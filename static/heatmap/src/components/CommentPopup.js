@@ -1,26 +1,33 @@
 import { useState, useCallback, useEffect, useRef } from "react";
 import { formatCommentDate, getAvatarUrl } from "../utils/commentPopup";
 import { buildCommentTree, getCommentBody } from "../utils/commentRanking";
+import { classifyThread, APP_INTENT_LEXICON } from "../utils/intentClassifier";
+import { INTENT_COLORS } from "../utils/chartUtils";
+import { UI_LABELS } from "../constants";
 import Button from '@atlaskit/button/new';
 import PropTypes from 'prop-types';
 import "../styles/comments.css";
 
 /**
  * Recursively renders a comment and its replies.
+ * Also used by the footer comments panel to render page-level threads.
+ * The opening comment of a thread shows the thread's intent tag (question, blocker, ...).
  * 
  * @param {Object} comment - Comment node with potential children
  * @param {number} depth - Current nesting depth (for styling)
  * @param {boolean} showCloseButton - Whether to show the close button in this header
  * @param {Function} onClose - Callback function to close the popup
+ * @param {IntentLexicon} [lexicon=APP_INTENT_LEXICON] - Rules used to classify the thread
  * @returns {JSX.Element} Rendered comment with nested replies
  */
-function CommentItem({ comment, depth = 0, showCloseButton = false, onClose }) {
+export function CommentItem({ comment, depth = 0, showCloseButton = false, onClose, lexicon = APP_INTENT_LEXICON }) {
   const user = comment?.user;
   const text = getCommentBody(comment, Infinity);
   const createdAt = comment?.version?.createdAt || comment?.createdAt;
   const date = formatCommentDate(createdAt);
   const avatarUrl = getAvatarUrl(user);
   const hasReplies = comment?.children && comment.children.length > 0;
+  const intent = depth === 0 ? classifyThread(comment, lexicon) : null;
 
   return (
     <div className={`conf-popup-comment ${depth > 0 ? 'conf-popup-comment-reply' : ''}`}>
@@ -52,6 +59,11 @@ function CommentItem({ comment, depth = 0, showCloseButton = false, onClose }) {
           {date && (
             <div className="conf-popup-date">{date}</div>
           )}
+          {intent && (
+            <span className="conf-intent-tag" style={{ backgroundColor: INTENT_COLORS[intent] }}>
+              {UI_LABELS.INTENTS[intent]}
+            </span>
+          )}
         </div>
       </div>
       <div className="conf-popup-comment-text">{text}</div>
@@ -66,6 +78,7 @@ function CommentItem({ comment, depth = 0, showCloseButton = false, onClose }) {
               depth={depth + 1}
               showCloseButton={false}
               onClose={onClose}
+              lexicon={lexicon}
             />
           ))}
         </div>
@@ -74,7 +87,7 @@ function CommentItem({ comment, depth = 0, showCloseButton = false, onClose }) {
   );
 }
 
-export default function CommentPopup({ visible, y, comments = [], onClose }) {
+export default function CommentPopup({ visible, y, comments = [], onClose, lexicon = APP_INTENT_LEXICON }) {
   // Drag state - offset from initial position
   const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
   const [isDragging, setIsDragging] = useState(false);
@@ -172,6 +185,7 @@ export default function CommentPopup({ visible, y, comments = [], onClose }) {
             depth={0}
             showCloseButton={index === 0}
             onClose={onClose}
+            lexicon={lexicon}
           />
         ))}
       </div>
@@ -184,5 +198,6 @@ CommentPopup.propTypes = {
   y: PropTypes.number.isRequired,
   comments: PropTypes.arrayOf(PropTypes.object),
   onClose: PropTypes.func,
+  lexicon: PropTypes.object,
 };
 
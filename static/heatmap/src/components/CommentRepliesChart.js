@@ -1,48 +1,63 @@
 import React, { useMemo, useCallback, useRef, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import ReactECharts from 'echarts-for-react';
-import { rankParentsByReplies, findMostCommentedUser } from '../utils/commentRanking';
+import { findMostCommentedUser } from '../utils/commentRanking';
+import { DEFAULT_SCORING_STRATEGY } from '../utils/scoringStrategies';
+import { DEFAULT_HEAT_SCALE } from '../utils/heatScale';
 import { scrollToComment } from '../utils/htmlProcessing';
 import { userCache } from '../utils/userCache';
+import { useUserCacheVersion } from '../hooks/useUserCacheVersion';
 import { 
   calculateBaseChartData, 
   createTooltipFormatter, 
   createCommentRepliesChartOption 
 } from '../utils/chartUtils';
-import { COMMENT_STATUS } from '../constants';
+import { COMMENT_STATUS, HALF_LIFE_DAYS, THREAD_SORT, UI_LABELS } from '../constants';
 
 /**
- * Horizontal bar chart displaying comment threads ranked by thread size.
- * Thread size = parent comment + all replies.
+ * Horizontal bar chart displaying the size of comment threads (parent comment + all replies).
+ * Threads are colored by the selected scoring strategy, matching the page highlights, and
+ * ordered by it too unless the trending sort puts recently active threads first.
  * Clicking a bar scrolls to the corresponding inline comment in the page.
  * 
  * @param {Array} comments - Array of comment objects
- * @param {string} [status=COMMENT_STATUS.OPEN] - Filter comments by status
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Filter comments by status (OPEN, RESOLVED or ALL)
  * @param {number} [maxItems] - Maximum number of items to display (shows all if not specified)
+ * @param {string} [scoringStrategy=DEFAULT_SCORING_STRATEGY] - One of SCORING_STRATEGY
+ * @param {Object} [heatScale=DEFAULT_HEAT_SCALE] - Bucketing method and number of heat levels
+ * @param {string} [sort=THREAD_SORT.HEAT] - One of THREAD_SORT
+ * @param {number} [halfLifeDays=HALF_LIFE_DAYS.DEFAULT] - Half-life for the hot strategy and trending sort
+ * @param {number} [now] - Reference time for recency decay (defaults to the current time)
  */
 export default function CommentRepliesChart({
   comments,
   status = COMMENT_STATUS.OPEN,
   maxItems,
   onBarClick,
+  scoringStrategy = DEFAULT_SCORING_STRATEGY,
+  heatScale = DEFAULT_HEAT_SCALE,
+  sort = THREAD_SORT.HEAT,
+  halfLifeDays = HALF_LIFE_DAYS.DEFAULT,
+  now,
 }) {
   // Store ranked comments for click handler access
   const rankedCommentsRef = useRef([]);
   // Store display names and avatar URLs for most commented users per thread
   const [mostCommentedUserInfo, setMostCommentedUserInfo] = useState([]);
-
-  // Calculate most commented user for each thread and fetch display names
-  // Memoized to prevent recalculation when user info loads
-  const topCommentsForEnrichment = useMemo(() => {
-    if (!comments || comments.length === 0) return [];
-    const ranked = rankParentsByReplies(comments, { status });
-    return ranked.slice(0, maxItems);
-  }, [comments, status, maxItems]);
+  // Bumps when cached profiles are refreshed in the background
+  const userCacheVersion = useUserCacheVersion();
 
   // Memoize base chart data (labels, values, colors) - doesn't depend on user info
   // This prevents chart re-render when user info loads
   const baseChartData = useMemo(() => {
-    const chartData = calculateBaseChartData(comments, status, maxItems);
+    const chartData = calculateBaseChartData(
+      comments,
+      status,
+      maxItems,
+      scoringStrategy,
+      heatScale,
+      { sort, halfLifeDays, now }
+    );
     
     // Update ref with reversed comments for click handler access
     if (chartData) {
@@ -52,7 +67,13 @@ export default function CommentRepliesChart({
     }
     
     return chartData;
-  }, [comments, status, maxItems]);
+  }, [comments, status, maxItems, scoringStrategy, heatScale, sort, halfLifeDays, now]);
+
+  // Threads in chart order (top bar first), to fetch the most commented user of each
+  const topCommentsForEnrichment = useMemo(
+    () => (baseChartData ? [...baseChartData.reversedComments].reverse() : []),
+    [baseChartData]
+  );
 
   // Fetch display names and avatar URLs for most commented users using cache
   useEffect(() => {
@@ -61,30 +82,31 @@ export default function CommentRepliesChart({
       return;
     }
 
-    let cancelled = false;
+    // Aborted when the ranking changes or the chart unmounts, so stale lookups stop
+    const controller = new AbortController();
 
     // Calculate most commented user for each thread
     const mostCommentedUserIds = topCommentsForEnrichment.map(node => findMostCommentedUser(node));
 
     // Use cache service to fetch user info efficiently (deduplicates and caches)
-    userCache.getMultipleEnrichedUserInfo(mostCommentedUserIds)
+    userCache.getMultipleEnrichedUserInfo(mostCommentedUserIds, { signal: controller.signal })
       .then((enrichedUserInfo) => {
-        if (!cancelled) {
+        if (!controller.signal.aborted) {
           // enrichedUserInfo is already in the correct order and format
           setMostCommentedUserInfo(enrichedUserInfo);
         }
       })
       .catch(() => {
         // On error, set empty array to prevent UI breakage
-        if (!cancelled) {
+        if (!controller.signal.aborted) {
           setMostCommentedUserInfo([]);
         }
       });
 
     return () => {
-      cancelled = true;
+      controller.abort();
     };
-  }, [topCommentsForEnrichment]);
+  }, [topCommentsForEnrichment, userCacheVersion]);
 
   // Memoize tooltip formatter separately - only updates when user info loads
   // This prevents full chart re-render, only tooltip content updates
@@ -130,7 +152,7 @@ export default function CommentRepliesChart({
   if (!chartOption) {
     return (
       <div className="conf-chart-empty">
-        No open comment threads found.
+        {UI_LABELS.EMPTY_THREADS[status]}
       </div>
     );
   }
@@ -153,9 +175,18 @@ CommentRepliesChart.propTypes = {
     resolutionStatus: PropTypes.string,
     properties: PropTypes.object,
   })),
-  status: PropTypes.oneOf(['open']),
+  status: PropTypes.oneOf(Object.values(COMMENT_STATUS)),
   maxItems: PropTypes.number,
   onBarClick: PropTypes.func,
+  scoringStrategy: PropTypes.string,
+  heatScale: PropTypes.shape({
+    method: PropTypes.string,
+    levels: PropTypes.number,
+    thresholds: PropTypes.arrayOf(PropTypes.number),
+  }),
+  sort: PropTypes.oneOf(Object.values(THREAD_SORT)),
+  halfLifeDays: PropTypes.number,
+  now: PropTypes.number,
 };
 
 CommentRepliesChart.defaultProps = {
@@ -163,4 +194,9 @@ CommentRepliesChart.defaultProps = {
   status: COMMENT_STATUS.OPEN,
   maxItems: undefined,
   onBarClick: null,
+  scoringStrategy: DEFAULT_SCORING_STRATEGY,
+  heatScale: DEFAULT_HEAT_SCALE,
+  sort: THREAD_SORT.HEAT,
+  halfLifeDays: HALF_LIFE_DAYS.DEFAULT,
+  now: undefined,
 };
@@ -0,0 +1,178 @@
+import React, { useMemo, useCallback, useState } from 'react';
+import PropTypes from 'prop-types';
+import ReactECharts from 'echarts-for-react';
+import { bucketCommentsByTime, formatTimeRange } from '../utils/timeline';
+import { COLORS, RANK_COLORS } from '../utils/chartUtils';
+import { COMMENT_STATUS, DATE_FORMAT, TIMELINE_GRANULARITY, UI_LABELS } from '../constants';
+
+// Opacity of buckets outside the selected time window
+const UNSELECTED_BUCKET_OPACITY = 0.35;
+
+/**
+ * Stacked bar chart of comment activity over time: new threads vs replies per day or week.
+ * Clicking a bucket selects it as the time window for the heatmap and other charts;
+ * clicking the selected bucket again clears the window.
+ * 
+ * @param {Array} comments - Array of comment objects
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Only count threads matching this status
+ * @param {Object|null} [timeWindow] - Selected window { start, end } in milliseconds, or null
+ * @param {Function} [onWindowChange] - Called with the clicked bucket's { start, end }, or null to clear
+ */
+export default function CommentTimelineChart({
+  comments,
+  status = COMMENT_STATUS.OPEN,
+  timeWindow,
+  onWindowChange,
+}) {
+  const [granularity, setGranularity] = useState(TIMELINE_GRANULARITY.DAY);
+
+  const buckets = useMemo(
+    () => bucketCommentsByTime(comments, { granularity, status }),
+    [comments, granularity, status]
+  );
+
+  const chartOption = useMemo(() => {
+    if (buckets.length === 0) return null;
+
+    const isSelected = (bucket) =>
+      !timeWindow || (bucket.start === timeWindow.start && bucket.end === timeWindow.end);
+    const seriesData = (key) => buckets.map((bucket) => ({
+      value: bucket[key],
+      itemStyle: { opacity: isSelected(bucket) ? 1 : UNSELECTED_BUCKET_OPACITY },
+    }));
+    const labels = buckets.map((bucket) =>
+      new Date(bucket.start).toLocaleDateString(DATE_FORMAT.LOCALE, { month: 'short', day: 'numeric' })
+    );
+    const textStyle = {
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      fontSize: 11,
+    };
+
+    return {
+      tooltip: {
+        trigger: 'axis',
+        axisPointer: { type: 'shadow' },
+        renderMode: 'html',
+        appendToBody: true,
+        className: 'echarts-tooltip-container',
+        backgroundColor: '#FFFFFF',
+        borderColor: COLORS.N40,
+        borderWidth: 1,
+        textStyle: { ...textStyle, color: COLORS.N800, fontSize: 12 },
+        formatter: (params) => {
+          const bucket = buckets[params[0].dataIndex];
+          return `<strong>${formatTimeRange(bucket)}</strong><br/>`
+            + `${UI_LABELS.NEW_THREADS}: <strong>${bucket.threads}</strong><br/>`
+            + `${UI_LABELS.REPLIES}: <strong>${bucket.replies}</strong>`;
+        },
+      },
+      legend: {
+        bottom: 0,
+        itemWidth: 10,
+        itemHeight: 10,
+        textStyle: { ...textStyle, color: COLORS.N200 },
+      },
+      grid: {
+        left: 8,
+        right: 8,
+        bottom: 28,
+        top: 8,
+        containLabel: true,
+      },
+      xAxis: {
+        type: 'category',
+        data: labels,
+        axisLine: { lineStyle: { color: COLORS.N40 } },
+        axisTick: { show: false },
+        axisLabel: { ...textStyle, color: COLORS.N200 },
+      },
+      yAxis: {
+        type: 'value',
+        minInterval: 1,
+        splitLine: { lineStyle: { color: COLORS.N40 } },
+        axisLabel: { ...textStyle, color: COLORS.N200 },
+      },
+      series: [
+        {
+          name: UI_LABELS.NEW_THREADS,
+          type: 'bar',
+          stack: 'activity',
+          data: seriesData('threads'),
+          color: RANK_COLORS[3].normal,
+        },
+        {
+          name: UI_LABELS.REPLIES,
+          type: 'bar',
+          stack: 'activity',
+          data: seriesData('replies'),
+          color: RANK_COLORS[1].normal,
+          itemStyle: { borderRadius: [3, 3, 0, 0] },
+        },
+      ],
+    };
+  }, [buckets, timeWindow]);
+
+  // Toggle the clicked bucket as the active time window
+  const onChartClick = useCallback((params) => {
+    if (!onWindowChange || params.componentType !== 'series') return;
+    const bucket = buckets[params.dataIndex];
+    if (!bucket) return;
+
+    const isCurrent = timeWindow && timeWindow.start === bucket.start && timeWindow.end === bucket.end;
+    onWindowChange(isCurrent ? null : { start: bucket.start, end: bucket.end });
+  }, [buckets, timeWindow, onWindowChange]);
+
+  const onEvents = { click: onChartClick };
+
+  return (
+    <>
+      <div className="conf-timeline-granularity" role="group" aria-label="Timeline granularity">
+        {Object.values(TIMELINE_GRANULARITY).map((value) => (
+          <button
+            key={value}
+            type="button"
+            aria-pressed={granularity === value}
+            className={granularity === value ? 'conf-timeline-granularity-selected' : ''}
+            onClick={() => setGranularity(value)}
+          >
+            {UI_LABELS.TIMELINE_GRANULARITY[value]}
+          </button>
+        ))}
+      </div>
+      {chartOption ? (
+        <ReactECharts
+          option={chartOption}
+          style={{ height: '220px', width: '100%', cursor: 'pointer' }}
+          opts={{ renderer: 'canvas' }}
+          onEvents={onEvents}
+        />
+      ) : (
+        <div className="conf-chart-empty">{UI_LABELS.NO_TIMELINE}</div>
+      )}
+    </>
+  );
+}
+
+CommentTimelineChart.propTypes = {
+  comments: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string,
+    parentCommentId: PropTypes.string,
+    resolutionStatus: PropTypes.string,
+    version: PropTypes.shape({
+      createdAt: PropTypes.string,
+    }),
+  })),
+  status: PropTypes.oneOf(Object.values(COMMENT_STATUS)),
+  timeWindow: PropTypes.shape({
+    start: PropTypes.number.isRequired,
+    end: PropTypes.number.isRequired,
+  }),
+  onWindowChange: PropTypes.func,
+};
+
+CommentTimelineChart.defaultProps = {
+  comments: [],
+  status: COMMENT_STATUS.OPEN,
+  timeWindow: null,
+  onWindowChange: null,
+};
@@ -2,8 +2,9 @@ import React, { useMemo, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import ReactECharts from 'echarts-for-react';
 import Spinner from '@atlaskit/spinner';
-import { groupCommentsByUser } from '../utils/commentRanking';
+import { groupCommentsByUser, mergeUserCounts } from '../utils/commentRanking';
 import { userCache } from '../utils/userCache';
+import { useUserCacheVersion } from '../hooks/useUserCacheVersion';
 import { COMMENT_STATUS } from '../constants';
 
 // Atlassian Design System color palette
@@ -21,14 +22,15 @@ const COLORS = {
  * Uses the user cache service to avoid redundant API calls and deduplicate requests.
  * 
  * @param {Array<{authorId: string, commentCount: number}>} userCounts - Array of user counts
+ * @param {AbortSignal} [signal] - Cancels outstanding user lookups
  * @returns {Promise<Array<{authorId: string, commentCount: number, displayName: string}>>} Enriched array
  */
-async function enrichWithDisplayNames(userCounts) {
+async function enrichWithDisplayNames(userCounts, signal) {
   // Extract author IDs
   const authorIds = userCounts.map(item => item.authorId);
   
   // Use cache service to fetch user info efficiently (deduplicates and caches)
-  const users = await userCache.getMultipleUserInfo(authorIds);
+  const users = await userCache.getMultipleUserInfo(authorIds, { signal });
   
   // Combine user info with comment counts
   return userCounts.map((item, index) => ({
@@ -45,24 +47,43 @@ async function enrichWithDisplayNames(userCounts) {
  * because clicking a user doesn't have a clear navigation target (users may have
  * commented on multiple threads across the page).
  * 
- * @param {Array} comments - Array of comment objects
- * @param {string} [status=COMMENT_STATUS.OPEN] - Filter comments by status
+ * Footer comments have no resolution status, so when included they are always
+ * counted in full regardless of the status filter.
+ * 
+ * @param {Array} comments - Array of inline comment objects
+ * @param {Array} [footerComments] - Array of footer (page-level) comment objects
+ * @param {boolean} [includeFooter=false] - Whether footer comments count towards the totals
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Filter comments by status (OPEN, RESOLVED or ALL)
  * @param {number} [maxItems] - Maximum number of users to display (shows all if not specified)
+ * @param {Array} [userCounts] - Precomputed { authorId, commentCount } list (e.g. aggregated across
+ *   pages); when provided, comments, footerComments, includeFooter and status are ignored
  */
 export default function CommentsByUserChart({
   comments,
+  footerComments = [],
+  includeFooter = false,
   status = COMMENT_STATUS.OPEN,
   maxItems,
+  userCounts: precomputedCounts = null,
 }) {
   const [enrichedUsers, setEnrichedUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  // Bumps when cached profiles are refreshed in the background
+  const userCacheVersion = useUserCacheVersion();
 
   // Group comments by user and optionally limit to top N
   const userCounts = useMemo(() => {
-    if (!comments || comments.length === 0) return [];
-    const grouped = groupCommentsByUser(comments, { status });
+    if (precomputedCounts) {
+      return maxItems ? precomputedCounts.slice(0, maxItems) : precomputedCounts;
+    }
+    const grouped = includeFooter
+      ? mergeUserCounts(
+          groupCommentsByUser(comments, { status }),
+          groupCommentsByUser(footerComments, { status: COMMENT_STATUS.ALL })
+        )
+      : groupCommentsByUser(comments, { status });
     return maxItems ? grouped.slice(0, maxItems) : grouped;
-  }, [comments, status, maxItems]);
+  }, [comments, footerComments, includeFooter, status, maxItems, precomputedCounts]);
 
   // Fetch display names for users
   useEffect(() => {
@@ -71,20 +92,29 @@ export default function CommentsByUserChart({
       return;
     }
 
-    let cancelled = false;
+    // Aborted when the counts change or the chart unmounts, so stale lookups stop
+    const controller = new AbortController();
     setIsLoading(true);
 
-    enrichWithDisplayNames(userCounts).then((result) => {
-      if (!cancelled) {
-        setEnrichedUsers(result);
-        setIsLoading(false);
-      }
-    });
+    enrichWithDisplayNames(userCounts, controller.signal)
+      .then((result) => {
+        if (!controller.signal.aborted) {
+          setEnrichedUsers(result);
+          setIsLoading(false);
+        }
+      })
+      .catch(() => {
+        // Cancelled or failed lookups: keep the chart usable without names
+        if (!controller.signal.aborted) {
+          setEnrichedUsers(userCounts.map((item) => ({ ...item, displayName: 'Unknown User' })));
+          setIsLoading(false);
+        }
+      });
 
     return () => {
-      cancelled = true;
+      controller.abort();
     };
-  }, [userCounts]);
+  }, [userCounts, userCacheVersion]);
 
   const chartOption = useMemo(() => {
     if (enrichedUsers.length === 0) return null;
@@ -219,12 +249,26 @@ CommentsByUserChart.propTypes = {
     }),
     resolutionStatus: PropTypes.string,
   })),
+  footerComments: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string,
+    version: PropTypes.shape({
+      authorId: PropTypes.string,
+    }),
+  })),
+  includeFooter: PropTypes.bool,
   status: PropTypes.oneOf(Object.values(COMMENT_STATUS)),
   maxItems: PropTypes.number,
+  userCounts: PropTypes.arrayOf(PropTypes.shape({
+    authorId: PropTypes.string.isRequired,
+    commentCount: PropTypes.number.isRequired,
+  })),
 };
 
 CommentsByUserChart.defaultProps = {
   comments: [],
+  footerComments: [],
+  includeFooter: false,
   status: COMMENT_STATUS.OPEN,
   maxItems: undefined,
+  userCounts: null,
 };
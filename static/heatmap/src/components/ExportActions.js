@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { groupCommentsByUser, mergeUserCounts, rankParentsByReplies, findMostCommentedUser } from '../utils/commentRanking';
+import {
+  AUTHOR_EXPORT_COLUMNS,
+  THREAD_EXPORT_COLUMNS,
+  buildAuthorExportRows,
+  buildThreadExportRows,
+  getExportFileName,
+  serializeRows,
+} from '../utils/exportData';
+import { downloadFile } from '../utils/download';
+import { userCache } from '../utils/userCache';
+import { COMMENT_STATUS, EXPORT_FORMAT, UI_LABELS } from '../constants';
+
+/**
+ * Looks up display names for a list of account IDs; exports go ahead without names
+ * when the lookup fails.
+ */
+async function getDisplayNames(authorIds) {
+  try {
+    return await userCache.getDisplayNames(authorIds);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Sidebar action downloading the thread ranking or the author counts as CSV or JSON.
+ * Exports exactly what the sidebar charts show: the same status, the same time filters
+ * (comments are passed in already filtered) and, for authors, the same footer comment setting.
+ *
+ * @param {Array} comments - Inline comments after time filtering
+ * @param {Array} [footerComments] - Footer comments after time filtering
+ * @param {boolean} [includeFooter=false] - Whether footer comments count towards author totals
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Status filter (OPEN, RESOLVED or ALL)
+ * @param {string} [pageTitle] - Page title, used for the file name
+ */
+export default function ExportActions({ comments, footerComments, includeFooter, status, pageTitle }) {
+  const [format, setFormat] = useState(EXPORT_FORMAT.CSV);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const exportDataset = async (dataset) => {
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      let rows;
+      let columns;
+      if (dataset === 'threads') {
+        const authorIds = rankParentsByReplies(comments, { status }).map(findMostCommentedUser);
+        rows = buildThreadExportRows(comments, { status, displayNames: await getDisplayNames(authorIds) });
+        columns = THREAD_EXPORT_COLUMNS;
+      } else {
+        const userCounts = includeFooter
+          ? mergeUserCounts(
+              groupCommentsByUser(comments, { status }),
+              groupCommentsByUser(footerComments, { status: COMMENT_STATUS.ALL })
+            )
+          : groupCommentsByUser(comments, { status });
+        const displayNames = await getDisplayNames(userCounts.map((item) => item.authorId));
+        rows = buildAuthorExportRows(userCounts, displayNames);
+        columns = AUTHOR_EXPORT_COLUMNS;
+      }
+
+      const { content, mimeType } = serializeRows(rows, columns, format);
+      downloadFile(content, getExportFileName(pageTitle, dataset, status, format), mimeType);
+    } catch (err) {
+      console.error('Failed to export heatmap data:', err);
+      setError(UI_LABELS.EXPORT_FAILED);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="conf-export-actions">
+      <span className="conf-export-label">{UI_LABELS.EXPORT_DATA}</span>
+      <select
+        value={format}
+        aria-label={UI_LABELS.EXPORT_DATA}
+        onChange={(e) => setFormat(e.target.value)}
+      >
+        {Object.values(EXPORT_FORMAT).map((option) => (
+          <option key={option} value={option}>
+            {UI_LABELS.EXPORT_FORMATS[option]}
+          </option>
+        ))}
+      </select>
+      <button type="button" disabled={isExporting} onClick={() => exportDataset('threads')}>
+        {UI_LABELS.EXPORT_THREADS}
+      </button>
+      <button type="button" disabled={isExporting} onClick={() => exportDataset('authors')}>
+        {UI_LABELS.EXPORT_AUTHORS}
+      </button>
+      {error && <span className="conf-export-error" role="alert">{error}</span>}
+    </div>
+  );
+}
+
+ExportActions.propTypes = {
+  comments: PropTypes.arrayOf(PropTypes.object).isRequired,
+  footerComments: PropTypes.arrayOf(PropTypes.object),
+  includeFooter: PropTypes.bool,
+  status: PropTypes.oneOf(Object.values(COMMENT_STATUS)),
+  pageTitle: PropTypes.string,
+};
+
+ExportActions.defaultProps = {
+  footerComments: [],
+  includeFooter: false,
+  status: COMMENT_STATUS.OPEN,
+  pageTitle: '',
+};
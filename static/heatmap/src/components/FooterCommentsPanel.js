@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Spinner from '@atlaskit/spinner';
+import { CommentItem } from './CommentPopup';
+import { buildCommentTree } from '../utils/commentRanking';
+import { enrichCommentsWithUserInfo } from '../utils/commentPopup';
+import { UI_LABELS } from '../constants';
+
+/**
+ * Collapsible panel listing the page's footer (page-level) comment threads.
+ * Threads are rendered with the same CommentItem component as the inline popup.
+ * User info is only fetched the first time the panel is expanded.
+ * 
+ * @param {Array} comments - Flat array of footer comment objects
+ * @param {string|null} [error] - Why footer comments could not be loaded, shown in place of the threads
+ */
+export default function FooterCommentsPanel({ comments, error }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [enrichedComments, setEnrichedComments] = useState(null);
+
+  const threadCount = useMemo(
+    () => comments.filter((comment) => !comment.parentCommentId).length,
+    [comments]
+  );
+
+  // Fetch author info when expanded (and again if the comment set changes)
+  useEffect(() => {
+    if (!isExpanded || comments.length === 0) return;
+
+    const controller = new AbortController();
+    setEnrichedComments(null);
+
+    enrichCommentsWithUserInfo(comments, { signal: controller.signal })
+      .then((result) => {
+        if (!controller.signal.aborted) setEnrichedComments(result);
+      })
+      .catch(() => {
+        // Fall back to rendering without user info rather than hiding the threads
+        if (!controller.signal.aborted) setEnrichedComments(comments);
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [isExpanded, comments]);
+
+  // Preserve all enriched fields (user, version, etc.) on each tree node
+  const roots = useMemo(() => {
+    if (!enrichedComments) return [];
+    return buildCommentTree(enrichedComments, (comment) => ({
+      ...comment,
+      children: [],
+    })).roots;
+  }, [enrichedComments]);
+
+  const renderContent = () => {
+    if (error) {
+      return <div className="conf-chart-empty">{error}</div>;
+    }
+    if (comments.length === 0) {
+      return <div className="conf-chart-empty">{UI_LABELS.NO_FOOTER_COMMENTS}</div>;
+    }
+    if (!enrichedComments) {
+      return (
+        <div className="conf-chart-empty">
+          <Spinner size="small" />
+        </div>
+      );
+    }
+    return roots.map((comment) => (
+      <CommentItem key={comment.id} comment={comment} depth={0} />
+    ));
+  };
+
+  return (
+    <section className="conf-footer-comments">
+      <button
+        type="button"
+        className="conf-footer-comments-toggle"
+        aria-expanded={isExpanded}
+        onClick={() => setIsExpanded((expanded) => !expanded)}
+      >
+        <span className="conf-footer-comments-chevron" aria-hidden="true">
+          {isExpanded ? '▾' : '▸'}
+        </span>
+        {UI_LABELS.FOOTER_COMMENTS} ({threadCount})
+      </button>
+      {isExpanded && (
+        <div className="conf-footer-comments-content">
+          {renderContent()}
+        </div>
+      )}
+    </section>
+  );
+}
+
+FooterCommentsPanel.propTypes = {
+  comments: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string,
+    parentCommentId: PropTypes.string,
+    body: PropTypes.object,
+    version: PropTypes.shape({
+      authorId: PropTypes.string,
+      createdAt: PropTypes.string,
+    }),
+  })),
+  error: PropTypes.string,
+};
+
+FooterCommentsPanel.defaultProps = {
+  comments: [],
+  error: null,
+};
@@ -0,0 +1,30 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { HALF_LIFE_DAYS, UI_LABELS } from '../constants';
+
+/**
+ * Dropdown for the half-life of recent activity: after this many days a comment counts
+ * half as much in the hot scoring strategy and the trending thread sort.
+ *
+ * @param {number} value - Currently selected half-life in days
+ * @param {Function} onChange - Called with the newly selected half-life in days
+ */
+export default function HalfLifePicker({ value, onChange }) {
+  return (
+    <label className="conf-scoring-strategy">
+      {UI_LABELS.HALF_LIFE_LABEL}
+      <select value={value} onChange={(e) => onChange(Number(e.target.value))}>
+        {HALF_LIFE_DAYS.OPTIONS.map((days) => (
+          <option key={days} value={days}>
+            {UI_LABELS.HALF_LIFE_OPTION(days)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+HalfLifePicker.propTypes = {
+  value: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
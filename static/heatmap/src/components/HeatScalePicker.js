@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  fitHeatScale,
+  getBucketingMethods,
+  getDefaultThresholds,
+  parseThresholds,
+} from '../utils/heatScale';
+import { BUCKETING_METHOD, HEAT_LEVELS, HEAT_VALUE_TYPE, UI_LABELS } from '../constants';
+
+const LEVEL_OPTIONS = Array.from(
+  { length: HEAT_LEVELS.MAX - HEAT_LEVELS.MIN + 1 },
+  (_, index) => HEAT_LEVELS.MIN + index
+);
+
+/**
+ * Controls for how ranked threads are split into heat levels: the bucketing method,
+ * the number of levels and, for absolute thresholds, the threshold values. Methods that
+ * don't fit the current strategy's values are disabled and the fallback method is shown.
+ *
+ * @param {Object} value - Current heat scale ({ method, levels, thresholds })
+ * @param {Function} onChange - Called with the updated heat scale
+ * @param {string} valueType - What the strategy's heat values measure (one of HEAT_VALUE_TYPE)
+ */
+export default function HeatScalePicker({ value, onChange, valueType }) {
+  const { method, levels, thresholds } = fitHeatScale(value, valueType);
+  const availableMethods = getBucketingMethods(valueType);
+  const [thresholdText, setThresholdText] = useState(
+    (thresholds || getDefaultThresholds(levels)).join(', ')
+  );
+
+  const updateLevels = (nextLevels) => {
+    // Without custom thresholds, show the defaults for the new level count
+    if (!thresholds) setThresholdText(getDefaultThresholds(nextLevels).join(', '));
+    onChange({ method, levels: nextLevels, thresholds });
+  };
+
+  const updateThresholds = (text) => {
+    setThresholdText(text);
+    const parsed = parseThresholds(text);
+    onChange({ method, levels, thresholds: parsed.length > 0 ? parsed : undefined });
+  };
+
+  return (
+    <div className="conf-heat-scale">
+      <label>
+        {UI_LABELS.BUCKETING_METHOD_LABEL}
+        <select
+          value={method}
+          onChange={(e) => onChange({ method: e.target.value, levels, thresholds })}
+        >
+          {Object.values(BUCKETING_METHOD).map((option) => (
+            <option
+              key={option}
+              value={option}
+              disabled={!availableMethods.includes(option)}
+              title={availableMethods.includes(option) ? undefined : UI_LABELS.BUCKETING_METHOD_UNAVAILABLE}
+            >
+              {UI_LABELS.BUCKETING_METHODS[option]}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {UI_LABELS.HEAT_LEVELS_LABEL}
+        <select
+          value={levels}
+          onChange={(e) => updateLevels(Number(e.target.value))}
+        >
+          {LEVEL_OPTIONS.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </label>
+      {method === BUCKETING_METHOD.THRESHOLDS && (
+        <label className="conf-heat-thresholds">
+          {UI_LABELS.HEAT_THRESHOLDS_LABEL}
+          <input
+            type="text"
+            value={thresholdText}
+            placeholder={UI_LABELS.HEAT_THRESHOLDS_HINT}
+            onChange={(e) => updateThresholds(e.target.value)}
+          />
+        </label>
+      )}
+    </div>
+  );
+}
+
+HeatScalePicker.propTypes = {
+  value: PropTypes.shape({
+    method: PropTypes.string,
+    levels: PropTypes.number,
+    thresholds: PropTypes.arrayOf(PropTypes.number),
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  valueType: PropTypes.oneOf(Object.values(HEAT_VALUE_TYPE)),
+};
+
+HeatScalePicker.defaultProps = {
+  valueType: HEAT_VALUE_TYPE.COUNT,
+};
@@ -0,0 +1,30 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { HIGHLIGHT_MODE, UI_LABELS } from '../constants';
+
+/**
+ * Dropdown for what the page highlights are colored by: thread heat (volume) or
+ * thread intent (question, blocker, ...).
+ *
+ * @param {string} value - Currently selected HIGHLIGHT_MODE
+ * @param {Function} onChange - Called with the newly selected mode
+ */
+export default function HighlightModePicker({ value, onChange }) {
+  return (
+    <label className="conf-scoring-strategy">
+      {UI_LABELS.HIGHLIGHT_MODE_LABEL}
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        {Object.values(HIGHLIGHT_MODE).map((mode) => (
+          <option key={mode} value={mode}>
+            {UI_LABELS.HIGHLIGHT_MODES[mode]}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+HighlightModePicker.propTypes = {
+  value: PropTypes.oneOf(Object.values(HIGHLIGHT_MODE)).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
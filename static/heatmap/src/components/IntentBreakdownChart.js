@@ -0,0 +1,109 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import ReactECharts from 'echarts-for-react';
+import { countThreadsByIntent, APP_INTENT_LEXICON } from '../utils/intentClassifier';
+import { COLORS, INTENT_COLORS } from '../utils/chartUtils';
+import { COMMENT_STATUS, UI_LABELS } from '../constants';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+/**
+ * Horizontal bar chart counting threads per intent (blocker, question, suggestion,
+ * nit, praise), colored like the page highlights in intent mode.
+ * Intents without threads are left out.
+ * 
+ * @param {Array} comments - Array of inline comment objects
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Filter threads by status (OPEN, RESOLVED or ALL)
+ * @param {IntentLexicon} [lexicon=APP_INTENT_LEXICON] - Rules used to classify the threads
+ */
+export default function IntentBreakdownChart({ comments, status, lexicon }) {
+  const chartOption = useMemo(() => {
+    const counts = countThreadsByIntent(comments, { status, lexicon }).filter(({ count }) => count > 0);
+    if (counts.length === 0) return null;
+
+    // Reverse order for display (first intent at top of chart)
+    const reversed = [...counts].reverse();
+
+    return {
+      height: Math.max(160, counts.length * 32 + 60),
+      tooltip: {
+        trigger: 'axis',
+        axisPointer: { type: 'shadow' },
+        renderMode: 'html',
+        appendToBody: true,
+        className: 'echarts-tooltip-container',
+        backgroundColor: '#FFFFFF',
+        borderColor: COLORS.N40,
+        borderWidth: 1,
+        textStyle: { color: COLORS.N800, fontFamily: FONT_FAMILY, fontSize: 12 },
+        formatter: (params) => {
+          const item = params[0];
+          return `<strong>${item.name}</strong><br/>${UI_LABELS.INTENT_THREAD_COUNT(item.value)}`;
+        },
+      },
+      grid: { left: 8, right: 40, bottom: 8, top: 8, containLabel: true },
+      xAxis: {
+        type: 'value',
+        minInterval: 1,
+        axisLine: { show: false },
+        axisTick: { show: false },
+        splitLine: { lineStyle: { color: COLORS.N40 } },
+        axisLabel: { color: COLORS.N200, fontFamily: FONT_FAMILY, fontSize: 11 },
+      },
+      yAxis: {
+        type: 'category',
+        data: reversed.map(({ intent }) => UI_LABELS.INTENTS[intent]),
+        axisLine: { show: false },
+        axisTick: { show: false },
+        axisLabel: { color: COLORS.N800, fontFamily: FONT_FAMILY, fontSize: 12 },
+      },
+      series: [
+        {
+          name: 'Threads',
+          type: 'bar',
+          barWidth: 16,
+          data: reversed.map(({ intent, count }) => ({
+            value: count,
+            itemStyle: { color: INTENT_COLORS[intent], borderRadius: [0, 3, 3, 0] },
+          })),
+          label: {
+            show: true,
+            position: 'right',
+            color: COLORS.N200,
+            fontFamily: FONT_FAMILY,
+            fontSize: 11,
+            formatter: '{c}',
+          },
+        },
+      ],
+    };
+  }, [comments, status, lexicon]);
+
+  if (!chartOption) {
+    return (
+      <div className="conf-chart-empty">
+        {UI_LABELS.EMPTY_THREADS[status]}
+      </div>
+    );
+  }
+
+  return (
+    <ReactECharts
+      option={chartOption}
+      style={{ height: `${chartOption.height}px`, width: '100%' }}
+      opts={{ renderer: 'canvas' }}
+    />
+  );
+}
+
+IntentBreakdownChart.propTypes = {
+  comments: PropTypes.arrayOf(PropTypes.object),
+  status: PropTypes.oneOf(Object.values(COMMENT_STATUS)),
+  lexicon: PropTypes.object,
+};
+
+IntentBreakdownChart.defaultProps = {
+  comments: [],
+  status: COMMENT_STATUS.OPEN,
+  lexicon: APP_INTENT_LEXICON,
+};
@@ -0,0 +1,135 @@
+import React, { lazy, Suspense, useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Heading from '@atlaskit/heading';
+import Spinner from '@atlaskit/spinner';
+import { getPageTreeSummary } from '../api/resolver';
+import { navigateToPageHeatmap } from '../utils/navigation';
+import { ERROR_MESSAGES, UI_LABELS } from '../constants';
+
+// Charts load with ECharts only when the panel is opened
+const PageTreeTreemap = lazy(() => import('./PageTreeTreemap'));
+const CommentsByUserChart = lazy(() => import('./CommentsByUserChart'));
+
+// Number of child pages listed below the treemap
+const MAX_LISTED_PAGES = 10;
+
+/**
+ * Collapsible panel aggregating the open discussion of every descendant page:
+ * a treemap and ranked list of child pages by discussion heat, and author counts
+ * combined across all of them. The (resolver-side) aggregation only runs the first
+ * time the panel is expanded.
+ * 
+ * @param {string} pageId - ID of the page whose descendants are aggregated
+ */
+export default function PageTreePanel({ pageId }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isExpanded || summary) return;
+
+    const controller = new AbortController();
+    setError(null);
+
+    getPageTreeSummary(pageId, { signal: controller.signal })
+      .then((result) => {
+        if (!controller.signal.aborted) setSummary(result);
+      })
+      .catch((err) => {
+        if (!controller.signal.aborted) setError(err.message || ERROR_MESSAGES.UNEXPECTED_ERROR);
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [isExpanded, summary, pageId]);
+
+  const openPage = (childPageId) => {
+    navigateToPageHeatmap(childPageId).catch((err) => {
+      console.error('Failed to open page heatmap:', err);
+    });
+  };
+
+  const renderContent = () => {
+    if (error) {
+      return <div className="conf-chart-empty">{error}</div>;
+    }
+    if (!summary) {
+      return (
+        <div className="conf-chart-empty">
+          <Spinner size="small" />
+        </div>
+      );
+    }
+    if (summary.pages.length === 0) {
+      return <div className="conf-chart-empty">{UI_LABELS.NO_CHILD_PAGES}</div>;
+    }
+
+    const discussedPages = summary.pages.filter((page) => page.commentCount > 0);
+    const chartFallback = (
+      <div className="conf-chart-empty">
+        <Spinner size="small" />
+      </div>
+    );
+
+    return (
+      <>
+        {summary.truncated && (
+          <div className="conf-space-note">
+            {UI_LABELS.TREE_TRUNCATED(summary.pages.length, summary.truncatedCount, summary.truncatedCountIsMinimum)}
+          </div>
+        )}
+        <Heading as="h4">{UI_LABELS.CHILD_PAGES_BY_HEAT}</Heading>
+        <Suspense fallback={chartFallback}>
+          <PageTreeTreemap pages={summary.pages} onPageClick={openPage} />
+        </Suspense>
+        {discussedPages.length > 0 && (
+          <ol className="conf-page-tree-list">
+            {discussedPages.slice(0, MAX_LISTED_PAGES).map((page) => (
+              <li key={page.pageId}>
+                <button type="button" className="conf-space-page-link" onClick={() => openPage(page.pageId)}>
+                  {page.title || UI_LABELS.UNTITLED_PAGE}
+                </button>
+                <span>{UI_LABELS.CHILD_PAGE_STATS(page.commentCount, page.openThreadCount)}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+        {summary.authors.length > 0 && (
+          <>
+            <Heading as="h4">{UI_LABELS.CHILD_PAGES_AUTHORS}</Heading>
+            <Suspense fallback={chartFallback}>
+              <CommentsByUserChart userCounts={summary.authors} maxItems={10} />
+            </Suspense>
+          </>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <section className="conf-page-tree">
+      <button
+        type="button"
+        className="conf-footer-comments-toggle"
+        aria-expanded={isExpanded}
+        onClick={() => setIsExpanded((expanded) => !expanded)}
+      >
+        <span className="conf-footer-comments-chevron" aria-hidden="true">
+          {isExpanded ? '▾' : '▸'}
+        </span>
+        {UI_LABELS.CHILD_PAGES}
+      </button>
+      {isExpanded && (
+        <div className="conf-page-tree-content">
+          {renderContent()}
+        </div>
+      )}
+    </section>
+  );
+}
+
+PageTreePanel.propTypes = {
+  pageId: PropTypes.string.isRequired,
+};
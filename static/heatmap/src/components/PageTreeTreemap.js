@@ -0,0 +1,106 @@
+import React, { useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import ReactECharts from 'echarts-for-react';
+import { calculateScore } from '../utils/colorStrip';
+import { COLORS, RANK_COLORS } from '../utils/chartUtils';
+import { escapeHTML } from '../utils/htmlProcessing';
+import { UI_LABELS } from '../constants';
+
+/**
+ * Treemap of child pages sized by their open discussion (comments in open threads).
+ * Cells are colored with the same rank scale as the inline highlights and open the
+ * page's heatmap when clicked. Pages without open threads are left out.
+ * 
+ * @param {Array} pages - Page summaries ranked by commentCount (descending)
+ * @param {Function} [onPageClick] - Called with the clicked page's ID
+ */
+export default function PageTreeTreemap({ pages, onPageClick }) {
+  const chartOption = useMemo(() => {
+    const discussed = pages.filter((page) => page.commentCount > 0);
+    if (discussed.length === 0) return null;
+
+    const data = calculateScore(discussed).map((page) => ({
+      name: page.title || UI_LABELS.UNTITLED_PAGE,
+      value: page.commentCount,
+      pageId: page.pageId,
+      openThreadCount: page.openThreadCount,
+      itemStyle: { color: RANK_COLORS[page.score]?.normal || RANK_COLORS[0].normal },
+    }));
+
+    return {
+      tooltip: {
+        renderMode: 'html',
+        appendToBody: true,
+        className: 'echarts-tooltip-container',
+        backgroundColor: '#FFFFFF',
+        borderColor: COLORS.N40,
+        borderWidth: 1,
+        textStyle: {
+          color: COLORS.N800,
+          fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+          fontSize: 12,
+        },
+        formatter: (params) =>
+          `<strong>${escapeHTML(params.name)}</strong><br/>${UI_LABELS.CHILD_PAGE_STATS(params.value, params.data.openThreadCount)}`,
+      },
+      series: [
+        {
+          type: 'treemap',
+          data,
+          roam: false,
+          nodeClick: false,
+          breadcrumb: { show: false },
+          width: '100%',
+          height: '100%',
+          itemStyle: {
+            borderColor: '#FFFFFF',
+            borderWidth: 2,
+            gapWidth: 2,
+          },
+          label: {
+            color: COLORS.N800,
+            fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+            fontSize: 12,
+            overflow: 'truncate',
+          },
+        },
+      ],
+    };
+  }, [pages]);
+
+  const onChartClick = useCallback((params) => {
+    if (onPageClick && params.data?.pageId) {
+      onPageClick(params.data.pageId);
+    }
+  }, [onPageClick]);
+
+  const onEvents = { click: onChartClick };
+
+  if (!chartOption) {
+    return <div className="conf-chart-empty">{UI_LABELS.NO_CHILD_DISCUSSION}</div>;
+  }
+
+  return (
+    <ReactECharts
+      option={chartOption}
+      style={{ height: '280px', width: '100%', cursor: 'pointer' }}
+      opts={{ renderer: 'canvas' }}
+      onEvents={onEvents}
+    />
+  );
+}
+
+PageTreeTreemap.propTypes = {
+  pages: PropTypes.arrayOf(PropTypes.shape({
+    pageId: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    commentCount: PropTypes.number.isRequired,
+    openThreadCount: PropTypes.number,
+  })),
+  onPageClick: PropTypes.func,
+};
+
+PageTreeTreemap.defaultProps = {
+  pages: [],
+  onPageClick: null,
+};
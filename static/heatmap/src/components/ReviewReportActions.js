@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { buildReviewReport, collectAuthorIds } from '../utils/reviewReport';
+import { getExportFileName } from '../utils/exportData';
+import { downloadFile } from '../utils/download';
+import { copyToClipboard } from '../utils/clipboard';
+import { userCache } from '../utils/userCache';
+import { COMMENT_STATUS, UI_LABELS } from '../constants';
+
+// How long the "Copied" confirmation stays on the copy button
+const COPIED_FEEDBACK_MS = 2000;
+
+/**
+ * Sidebar action producing a Markdown review report (top threads in full, per-author
+ * stats and unanswered threads) for the current status and time filters, either as a
+ * downloaded .md file or copied to the clipboard.
+ *
+ * @param {Array} comments - Inline comments after time filtering
+ * @param {Array} [footerComments] - Footer comments after time filtering
+ * @param {boolean} [includeFooter=false] - Whether footer comments count towards author stats
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Status filter (OPEN, RESOLVED or ALL)
+ * @param {string} [pageTitle] - Page title, used as the report heading and file name
+ */
+export default function ReviewReportActions({ comments, footerComments, includeFooter, status, pageTitle }) {
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isCopied) return;
+    const timer = setTimeout(() => setIsCopied(false), COPIED_FEEDBACK_MS);
+    return () => clearTimeout(timer);
+  }, [isCopied]);
+
+  const createReport = async () => {
+    let displayNames = {};
+    try {
+      displayNames = await userCache.getDisplayNames(collectAuthorIds(comments, includeFooter ? footerComments : []));
+    } catch {
+      // Report without names rather than not at all
+    }
+    return buildReviewReport({ title: pageTitle, comments, footerComments, includeFooter, status, displayNames });
+  };
+
+  const runAction = async (action) => {
+    setIsBuilding(true);
+    setError(null);
+    try {
+      await action(await createReport());
+    } catch (err) {
+      console.error('Failed to create review report:', err);
+      setError(UI_LABELS.EXPORT_FAILED);
+    } finally {
+      setIsBuilding(false);
+    }
+  };
+
+  const downloadReport = () => runAction((report) => {
+    downloadFile(report, getExportFileName(pageTitle, 'review-report', status, 'md'), 'text/markdown;charset=utf-8');
+  });
+
+  const copyReport = () => runAction(async (report) => {
+    await copyToClipboard(report);
+    setIsCopied(true);
+  });
+
+  return (
+    <div className="conf-export-actions">
+      <span className="conf-export-label">{UI_LABELS.EXPORT_REPORT}</span>
+      <button type="button" disabled={isBuilding} onClick={downloadReport}>
+        {UI_LABELS.DOWNLOAD_REPORT}
+      </button>
+      <button type="button" disabled={isBuilding} onClick={copyReport}>
+        {isCopied ? UI_LABELS.REPORT_COPIED : UI_LABELS.COPY_REPORT}
+      </button>
+      {error && <span className="conf-export-error" role="alert">{error}</span>}
+    </div>
+  );
+}
+
+ReviewReportActions.propTypes = {
+  comments: PropTypes.arrayOf(PropTypes.object).isRequired,
+  footerComments: PropTypes.arrayOf(PropTypes.object),
+  includeFooter: PropTypes.bool,
+  status: PropTypes.oneOf(Object.values(COMMENT_STATUS)),
+  pageTitle: PropTypes.string,
+};
+
+ReviewReportActions.defaultProps = {
+  footerComments: [],
+  includeFooter: false,
+  status: COMMENT_STATUS.OPEN,
+  pageTitle: '',
+};
@@ -0,0 +1,198 @@
+import React, { useMemo, useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Spinner from '@atlaskit/spinner';
+import { getReviewerLeaderboard } from '../api/resolver';
+import { userCache } from '../utils/userCache';
+import { useUserCacheVersion } from '../hooks/useUserCacheVersion';
+import { ERROR_MESSAGES, LEADERBOARD_SCOPE, UI_LABELS } from '../constants';
+
+// Columns of the leaderboard table, in display order
+const COLUMNS = ['reviewer', 'commentCount', 'newThreads', 'replies', 'pagesTouched'];
+
+/**
+ * Collapsible leaderboard of who reviews the most across a set of pages: comment
+ * counts per author split into new threads and replies, plus the number of pages
+ * each author commented on. The page set is the current space, a page and its
+ * children, or every page carrying a label; it is aggregated by the resolver when
+ * the user picks a scope and clicks Show.
+ *
+ * @param {string|null} [spaceId] - ID of the current space; enables the space scope
+ * @param {string|null} [pageId] - ID of the current page; enables the page tree scope
+ * @param {boolean} [defaultExpanded=false] - Whether the panel starts expanded
+ */
+export default function ReviewerLeaderboard({ spaceId, pageId, defaultExpanded }) {
+  const scopes = useMemo(() => [
+    ...(pageId ? [LEADERBOARD_SCOPE.TREE] : []),
+    ...(spaceId ? [LEADERBOARD_SCOPE.SPACE] : []),
+    LEADERBOARD_SCOPE.LABEL,
+  ], [pageId, spaceId]);
+
+  const [isExpanded, setIsExpanded] = useState(defaultExpanded);
+  const [scope, setScope] = useState(scopes[0]);
+  const [label, setLabel] = useState('');
+  // Scope and label of the leaderboard being shown; only set by Show
+  const [query, setQuery] = useState(null);
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [displayNames, setDisplayNames] = useState({});
+  const [error, setError] = useState(null);
+  // Bumps when cached profiles are refreshed in the background
+  const userCacheVersion = useUserCacheVersion();
+
+  useEffect(() => {
+    if (!query) return;
+
+    const controller = new AbortController();
+    setLeaderboard(null);
+    setError(null);
+
+    getReviewerLeaderboard({ ...query, spaceId, pageId, signal: controller.signal })
+      .then((result) => {
+        if (!controller.signal.aborted) setLeaderboard(result);
+      })
+      .catch((err) => {
+        if (!controller.signal.aborted) setError(err.message || ERROR_MESSAGES.UNEXPECTED_ERROR);
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [query, spaceId, pageId]);
+
+  // Fetch display names for the listed reviewers
+  useEffect(() => {
+    if (!leaderboard || leaderboard.reviewers.length === 0) return;
+
+    const controller = new AbortController();
+    const authorIds = leaderboard.reviewers.map((reviewer) => reviewer.authorId);
+
+    userCache.getMultipleUserInfo(authorIds, { signal: controller.signal })
+      .then((users) => {
+        if (controller.signal.aborted) return;
+        setDisplayNames(Object.fromEntries(
+          authorIds.map((authorId, index) => [authorId, users[index]?.displayName || 'Unknown User'])
+        ));
+      })
+      .catch(() => {
+        // Cancelled or failed lookups: rows fall back to 'Unknown User'
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [leaderboard, userCacheVersion]);
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    setQuery({ scope, label: scope === LEADERBOARD_SCOPE.LABEL ? label.trim() : undefined });
+  };
+
+  const renderContent = () => {
+    if (!query) return null;
+    if (error) {
+      return <div className="conf-chart-empty">{error}</div>;
+    }
+    if (!leaderboard) {
+      return (
+        <div className="conf-chart-empty">
+          <Spinner size="small" />
+        </div>
+      );
+    }
+    if (leaderboard.reviewers.length === 0) {
+      return <div className="conf-chart-empty">{UI_LABELS.NO_REVIEWERS}</div>;
+    }
+
+    return (
+      <>
+        <div className="conf-space-note">
+          {UI_LABELS.LEADERBOARD_SUMMARY(leaderboard.pageCount)}
+          {leaderboard.truncated && (
+            ` · ${UI_LABELS.LEADERBOARD_TRUNCATED(leaderboard.truncatedCount, leaderboard.truncatedCountIsMinimum)}`
+          )}
+        </div>
+        <table className="conf-space-table conf-leaderboard-table">
+          <thead>
+            <tr>
+              {COLUMNS.map((column) => (
+                <th key={column}>{UI_LABELS.LEADERBOARD_COLUMNS[column]}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {leaderboard.reviewers.map((reviewer) => (
+              <tr key={reviewer.authorId}>
+                <td>{displayNames[reviewer.authorId] || 'Unknown User'}</td>
+                <td>{reviewer.commentCount}</td>
+                <td>{reviewer.newThreads}</td>
+                <td>{reviewer.replies}</td>
+                <td>{reviewer.pagesTouched}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </>
+    );
+  };
+
+  return (
+    <section className="conf-page-tree">
+      <button
+        type="button"
+        className="conf-footer-comments-toggle"
+        aria-expanded={isExpanded}
+        onClick={() => setIsExpanded((expanded) => !expanded)}
+      >
+        <span className="conf-footer-comments-chevron" aria-hidden="true">
+          {isExpanded ? '▾' : '▸'}
+        </span>
+        {UI_LABELS.REVIEWER_LEADERBOARD}
+      </button>
+      {isExpanded && (
+        <div className="conf-page-tree-content">
+          <form className="conf-space-filters" onSubmit={onSubmit}>
+            <select
+              value={scope}
+              aria-label={UI_LABELS.REVIEWER_LEADERBOARD}
+              onChange={(e) => setScope(e.target.value)}
+            >
+              {scopes.map((option) => (
+                <option key={option} value={option}>
+                  {UI_LABELS.LEADERBOARD_SCOPES[option]}
+                </option>
+              ))}
+            </select>
+            {scope === LEADERBOARD_SCOPE.LABEL && (
+              <input
+                type="text"
+                value={label}
+                placeholder={UI_LABELS.LEADERBOARD_LABEL_PLACEHOLDER}
+                aria-label={UI_LABELS.LEADERBOARD_SCOPES[LEADERBOARD_SCOPE.LABEL]}
+                onChange={(e) => setLabel(e.target.value)}
+              />
+            )}
+            <button
+              type="submit"
+              className="conf-retry-button"
+              disabled={scope === LEADERBOARD_SCOPE.LABEL && !label.trim()}
+            >
+              {UI_LABELS.SHOW_LEADERBOARD}
+            </button>
+          </form>
+          {renderContent()}
+        </div>
+      )}
+    </section>
+  );
+}
+
+ReviewerLeaderboard.propTypes = {
+  spaceId: PropTypes.string,
+  pageId: PropTypes.string,
+  defaultExpanded: PropTypes.bool,
+};
+
+ReviewerLeaderboard.defaultProps = {
+  spaceId: null,
+  pageId: null,
+  defaultExpanded: false,
+};
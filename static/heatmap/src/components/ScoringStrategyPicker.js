@@ -0,0 +1,31 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getScoringStrategyKeys } from '../utils/scoringStrategies';
+import { UI_LABELS } from '../constants';
+
+/**
+ * Dropdown for choosing how thread heat is measured. The chosen strategy colors both
+ * the page highlights and the thread chart.
+ * 
+ * @param {string} value - Currently selected strategy key
+ * @param {Function} onChange - Called with the newly selected strategy key
+ */
+export default function ScoringStrategyPicker({ value, onChange }) {
+  return (
+    <label className="conf-scoring-strategy">
+      {UI_LABELS.SCORING_STRATEGY_LABEL}
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        {getScoringStrategyKeys().map((key) => (
+          <option key={key} value={key}>
+            {UI_LABELS.SCORING_STRATEGIES[key] || key}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+ScoringStrategyPicker.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Spinner from '@atlaskit/spinner';
+import { exportHeatmapSnapshot } from '../utils/snapshotExport';
+import { getExportFileName } from '../utils/exportData';
+import { COMMENT_STATUS, HEAT_LEVELS, HIGHLIGHT_MODE, SNAPSHOT_FORMAT, UI_LABELS } from '../constants';
+
+/**
+ * Sidebar action downloading the current heatmap view (highlighted page body plus
+ * sidebar charts, with title, timestamp and colour legend) as a PNG or multi-page PDF.
+ *
+ * @param {Object} bodyRef - Ref to the highlighted page body element
+ * @param {Object} chartContainerRef - Ref to the element holding the sidebar charts
+ * @param {string} [pageTitle] - Page title, shown in the snapshot and used for the file name
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Current status filter, used for the file name
+ * @param {number} [levels=HEAT_LEVELS.DEFAULT] - Number of heat levels, shown in the legend
+ * @param {string} [highlightMode=HIGHLIGHT_MODE.HEAT] - What the highlights are colored by, for the legend
+ */
+export default function SnapshotExport({ bodyRef, chartContainerRef, pageTitle, status, levels, highlightMode }) {
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const exportSnapshot = async (format) => {
+    if (!bodyRef.current) return;
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      await exportHeatmapSnapshot(
+        {
+          bodyElement: bodyRef.current,
+          chartContainer: chartContainerRef.current,
+          title: pageTitle,
+          levels,
+          highlightMode,
+        },
+        format,
+        getExportFileName(pageTitle, 'heatmap', status, format)
+      );
+    } catch (err) {
+      console.error('Failed to export heatmap snapshot:', err);
+      setError(UI_LABELS.EXPORT_FAILED);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="conf-export-actions">
+      <span className="conf-export-label">{UI_LABELS.EXPORT_SNAPSHOT}</span>
+      {Object.values(SNAPSHOT_FORMAT).map((format) => (
+        <button key={format} type="button" disabled={isExporting} onClick={() => exportSnapshot(format)}>
+          {UI_LABELS.SNAPSHOT_FORMATS[format]}
+        </button>
+      ))}
+      {isExporting && <Spinner size="small" />}
+      {error && <span className="conf-export-error" role="alert">{error}</span>}
+    </div>
+  );
+}
+
+SnapshotExport.propTypes = {
+  bodyRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
+  chartContainerRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
+  pageTitle: PropTypes.string,
+  status: PropTypes.oneOf(Object.values(COMMENT_STATUS)),
+  levels: PropTypes.number,
+  highlightMode: PropTypes.oneOf(Object.values(HIGHLIGHT_MODE)),
+};
+
+SnapshotExport.defaultProps = {
+  pageTitle: '',
+  status: COMMENT_STATUS.OPEN,
+  levels: HEAT_LEVELS.DEFAULT,
+  highlightMode: HIGHLIGHT_MODE.HEAT,
+};
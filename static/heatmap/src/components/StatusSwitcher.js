@@ -0,0 +1,45 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Spinner from '@atlaskit/spinner';
+import { COMMENT_STATUS, UI_LABELS } from '../constants';
+
+/**
+ * Segmented control for choosing which comment threads drive the heatmap and charts.
+ * Renders one radio option per COMMENT_STATUS value.
+ * 
+ * @param {string} value - Currently selected status
+ * @param {Function} onChange - Called with the newly selected status
+ * @param {boolean} [isRefreshing=false] - Shows a spinner while threads are being re-fetched
+ */
+export default function StatusSwitcher({ value, onChange, isRefreshing = false }) {
+  return (
+    <div className="conf-status-switcher" role="radiogroup" aria-label="Comment status">
+      {Object.values(COMMENT_STATUS).map((status) => (
+        <label
+          key={status}
+          className={`conf-status-option ${value === status ? 'conf-status-option-selected' : ''}`}
+        >
+          <input
+            type="radio"
+            name="conf-comment-status"
+            value={status}
+            checked={value === status}
+            onChange={() => onChange(status)}
+          />
+          {UI_LABELS.COMMENT_STATUS[status]}
+        </label>
+      ))}
+      {isRefreshing && (
+        <span className="conf-status-spinner">
+          <Spinner size="small" />
+        </span>
+      )}
+    </div>
+  );
+}
+
+StatusSwitcher.propTypes = {
+  value: PropTypes.oneOf(Object.values(COMMENT_STATUS)).isRequired,
+  onChange: PropTypes.func.isRequired,
+  isRefreshing: PropTypes.bool,
+};
@@ -0,0 +1,112 @@
+import React, { useMemo, useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { getCommentTime } from '../utils/commentFilters';
+import { DATE_FORMAT, UI_LABELS } from '../constants';
+
+// Number of steps a full replay takes, and the delay between them
+const PLAY_STEPS = 50;
+const PLAY_STEP_MS = 200;
+
+/**
+ * Slider for replaying how a review unfolded. Each slider step adds the next comment
+ * (in creation order); the selected "as of" time is reported through onChange so the
+ * heatmap and charts only consider comments created up to then. Play animates the
+ * slider from the first comment to now.
+ * 
+ * @param {Array} comments - Inline comments to replay
+ * @param {number|null} asOf - Selected time in milliseconds, or null for now (all comments)
+ * @param {Function} onChange - Called with the new "as of" time, or null for now
+ */
+export default function TimeScrubber({ comments, asOf, onChange }) {
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  // Creation times in ascending order; position p includes the first p comments
+  const times = useMemo(
+    () => comments.map(getCommentTime).filter((time) => time !== null).sort((a, b) => a - b),
+    [comments]
+  );
+  const total = times.length;
+
+  const position = asOf === null ? total : times.filter((time) => time <= asOf).length;
+
+  const positionToAsOf = useCallback((nextPosition) => {
+    if (nextPosition >= total) return null;
+    // Just before the first comment shows an empty page
+    return nextPosition === 0 ? times[0] - 1 : times[nextPosition - 1];
+  }, [times, total]);
+
+  // Advance one step per tick while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (position >= total) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const step = Math.max(1, Math.ceil(total / PLAY_STEPS));
+    const timer = setTimeout(() => onChange(positionToAsOf(Math.min(total, position + step))), PLAY_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, position, total, onChange, positionToAsOf]);
+
+  if (total < 2) {
+    return null;
+  }
+
+  const onPlayToggle = () => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    // Replaying from the end starts over from the first comment
+    if (position >= total) onChange(positionToAsOf(0));
+    setIsPlaying(true);
+  };
+
+  const label = asOf === null
+    ? UI_LABELS.AS_OF_NOW
+    : new Date(asOf).toLocaleString(DATE_FORMAT.LOCALE, {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+
+  return (
+    <div className="conf-time-scrubber">
+      <button type="button" className="conf-time-scrubber-play" onClick={onPlayToggle}>
+        {isPlaying ? UI_LABELS.PAUSE : UI_LABELS.PLAY}
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={total}
+        value={position}
+        aria-label={UI_LABELS.AS_OF}
+        onChange={(e) => {
+          setIsPlaying(false);
+          onChange(positionToAsOf(Number(e.target.value)));
+        }}
+      />
+      <span className="conf-time-scrubber-label">
+        {UI_LABELS.AS_OF} <strong>{label}</strong>
+        {' · '}
+        {UI_LABELS.REPLAY_COMMENT_COUNT(position, total)}
+      </span>
+    </div>
+  );
+}
+
+TimeScrubber.propTypes = {
+  comments: PropTypes.arrayOf(PropTypes.shape({
+    version: PropTypes.shape({
+      createdAt: PropTypes.string,
+    }),
+  })),
+  asOf: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+};
+
+TimeScrubber.defaultProps = {
+  comments: [],
+  asOf: null,
+};
@@ -0,0 +1,68 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Heading from '@atlaskit/heading';
+import { getCommentBody, getCommentLabel } from '../utils/commentRanking';
+import { formatCommentDate } from '../utils/commentPopup';
+import { scrollToComment } from '../utils/htmlProcessing';
+import { UI_LABELS } from '../constants';
+
+/**
+ * Sidebar list of threads nobody but their author has replied to, oldest first.
+ * Clicking a thread scrolls to its highlight and opens the comment popup.
+ * 
+ * @param {Array} threads - Unanswered root comments from findUnansweredThreads
+ * @param {Function} onSelect - Called with the inlineMarkerRef of the clicked thread
+ */
+export default function UnansweredThreadsPanel({ threads, onSelect }) {
+  const selectThread = (markerRef) => {
+    scrollToComment(markerRef);
+    onSelect(markerRef);
+  };
+
+  return (
+    <div className="conf-chart-section conf-unanswered">
+      <Heading as="h4">
+        {UI_LABELS.UNANSWERED_THREADS} ({threads.length})
+      </Heading>
+      {threads.length === 0 ? (
+        <div className="conf-chart-empty">{UI_LABELS.NO_UNANSWERED_THREADS}</div>
+      ) : (
+        <ul className="conf-unanswered-list">
+          {threads.map((thread) => {
+            const date = thread.createdAt ? formatCommentDate(thread.createdAt) : '';
+            return (
+              <li key={thread.id}>
+                <button
+                  type="button"
+                  className="conf-unanswered-item"
+                  disabled={!thread.inlineMarkerRef}
+                  onClick={() => selectThread(thread.inlineMarkerRef)}
+                >
+                  <span className="conf-unanswered-selection">{getCommentLabel(thread, 60)}</span>
+                  <span className="conf-unanswered-text">{getCommentBody(thread, 80)}</span>
+                  <span className="conf-unanswered-meta">
+                    {[
+                      date && UI_LABELS.UNANSWERED_WAITING_SINCE(date),
+                      thread.replyCount > 0 && UI_LABELS.UNANSWERED_FOLLOW_UPS(thread.replyCount),
+                    ].filter(Boolean).join(' · ')}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+UnansweredThreadsPanel.propTypes = {
+  threads: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    inlineMarkerRef: PropTypes.string,
+    inlineOriginalSelection: PropTypes.string,
+    createdAt: PropTypes.string,
+    replyCount: PropTypes.number,
+  })).isRequired,
+  onSelect: PropTypes.func.isRequired,
+};
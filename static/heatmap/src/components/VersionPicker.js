@@ -0,0 +1,142 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Spinner from '@atlaskit/spinner';
+import { getCommentLabel } from '../utils/commentRanking';
+import { formatCommentDate } from '../utils/commentPopup';
+import { scrollToComment } from '../utils/htmlProcessing';
+import { UI_LABELS } from '../constants';
+
+/**
+ * Version selector for the full-page view, with a summary of the inline comment
+ * markers added and removed relative to the previous version.
+ * Added markers can be clicked to scroll to them in the page body.
+ * 
+ * @param {Array} versions - Page versions (newest first) with number and createdAt
+ * @param {number|null} selectedVersion - Selected version number, or null for the latest page
+ * @param {Function} onChange - Called with a version number, or null for the latest page
+ * @param {Object|null} [markerDiff] - { previousNumber, added, removed } for the selected version
+ * @param {Array} [comments=[]] - Inline comments, used to label markers with their selected text
+ * @param {boolean} [isLoading=false] - Shows a spinner while a version is loading
+ * @param {string|null} [error] - Error message for a failed version load
+ */
+export default function VersionPicker({
+  versions,
+  selectedVersion,
+  onChange,
+  markerDiff,
+  comments,
+  isLoading,
+  error,
+}) {
+  // inlineMarkerRef -> highlighted text of the thread, for readable marker lists
+  const markerLabels = useMemo(() => {
+    const labels = new Map();
+    comments.forEach((comment) => {
+      const ref = comment.properties?.inlineMarkerRef;
+      if (ref && !labels.has(ref)) {
+        labels.set(ref, getCommentLabel({
+          inlineOriginalSelection: comment.properties?.inlineOriginalSelection,
+        }, 40));
+      }
+    });
+    return labels;
+  }, [comments]);
+
+  if (versions.length === 0) {
+    return null;
+  }
+
+  const renderDiff = () => {
+    if (!markerDiff || isLoading) return null;
+    if (!markerDiff.previousNumber) {
+      return <div className="conf-version-diff-summary">{UI_LABELS.FIRST_VERSION}</div>;
+    }
+    if (markerDiff.added.length === 0 && markerDiff.removed.length === 0) {
+      return <div className="conf-version-diff-summary">{UI_LABELS.NO_MARKER_CHANGES}</div>;
+    }
+
+    return (
+      <div className="conf-version-diff">
+        <div className="conf-version-diff-summary">
+          {UI_LABELS.VERSION_COMPARED_TO(markerDiff.previousNumber)}
+        </div>
+        {markerDiff.added.length > 0 && (
+          <div className="conf-version-diff-group conf-version-diff-added">
+            <span>{UI_LABELS.MARKERS_ADDED(markerDiff.added.length)}</span>
+            <ul>
+              {markerDiff.added.map((ref) => (
+                <li key={ref}>
+                  <button type="button" onClick={() => scrollToComment(ref)}>
+                    {markerLabels.get(ref) || ref}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {markerDiff.removed.length > 0 && (
+          <div className="conf-version-diff-group conf-version-diff-removed">
+            <span>{UI_LABELS.MARKERS_REMOVED(markerDiff.removed.length)}</span>
+            <ul>
+              {markerDiff.removed.map((ref) => (
+                <li key={ref}>{markerLabels.get(ref) || ref}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="conf-version-picker">
+      <label className="conf-version-select">
+        {UI_LABELS.PAGE_VERSION}
+        <select
+          value={selectedVersion ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+        >
+          <option value="">{UI_LABELS.LATEST_VERSION}</option>
+          {versions.map((version) => (
+            <option key={version.number} value={version.number}>
+              {UI_LABELS.VERSION_OPTION(version.number, formatCommentDate(version.createdAt))}
+            </option>
+          ))}
+        </select>
+        {isLoading && <Spinner size="small" />}
+      </label>
+      {error && <div className="conf-version-error">{error}</div>}
+      {renderDiff()}
+    </div>
+  );
+}
+
+VersionPicker.propTypes = {
+  versions: PropTypes.arrayOf(PropTypes.shape({
+    number: PropTypes.number.isRequired,
+    createdAt: PropTypes.string,
+  })).isRequired,
+  selectedVersion: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+  markerDiff: PropTypes.shape({
+    previousNumber: PropTypes.number,
+    added: PropTypes.arrayOf(PropTypes.string).isRequired,
+    removed: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }),
+  comments: PropTypes.arrayOf(PropTypes.shape({
+    properties: PropTypes.shape({
+      inlineMarkerRef: PropTypes.string,
+      inlineOriginalSelection: PropTypes.string,
+    }),
+  })),
+  isLoading: PropTypes.bool,
+  error: PropTypes.string,
+};
+
+VersionPicker.defaultProps = {
+  selectedVersion: null,
+  markerDiff: null,
+  comments: [],
+  isLoading: false,
+  error: null,
+};
@@ -3,11 +3,114 @@
 // Confluence Modules
 export const CONFLUENCE_MODULES = {
   CONTENT_BYLINE_ITEM: 'confluence:contentBylineItem',
+  SPACE_PAGE: 'confluence:spacePage',
 };
 
 // Comment Status Values
 export const COMMENT_STATUS = {
   OPEN: 'open',
+  RESOLVED: 'resolved',
+  ALL: 'all',
+};
+
+// API resolution-status values covered by each COMMENT_STATUS filter (empty = no filter)
+export const RESOLUTION_STATUSES = {
+  [COMMENT_STATUS.OPEN]: ['open', 'reopened'],
+  [COMMENT_STATUS.RESOLVED]: ['resolved'],
+  [COMMENT_STATUS.ALL]: [],
+};
+
+// Ways of measuring how "hot" a thread is (see utils/scoringStrategies.js)
+export const SCORING_STRATEGY = {
+  REPLIES: 'replies',
+  PARTICIPANTS: 'participants',
+  RECENT: 'recent',
+  COMBINED: 'combined',
+  HOT: 'hot',
+};
+
+// Days after which a comment counts half as much in the "hot" score and the trending sort
+export const HALF_LIFE_DAYS = {
+  DEFAULT: 7,
+  OPTIONS: [1, 3, 7, 14, 30],
+};
+
+// Order of the bars in the thread chart
+export const THREAD_SORT = {
+  HEAT: 'heat',
+  TRENDING: 'trending',
+};
+
+// What a thread's opening comment is about (see utils/intentClassifier.js)
+export const COMMENT_INTENT = {
+  BLOCKER: 'blocker',
+  QUESTION: 'question',
+  SUGGESTION: 'suggestion',
+  NIT: 'nit',
+  PRAISE: 'praise',
+  OTHER: 'other',
+};
+
+// Team-specific intent rules merged into the built-in lexicon (see createIntentLexicon); the
+// resulting APP_INTENT_LEXICON drives the popup tags, the intent chart and intent highlights.
+// OVERRIDES maps COMMENT_INTENT values to { keywords, patterns }; REPLACE drops the built-in
+// rules of overridden intents instead of extending them.
+export const INTENT_LEXICON_CONFIG = {
+  OVERRIDES: {},
+  REPLACE: false,
+};
+
+// What the page highlights are colored by
+export const HIGHLIGHT_MODE = {
+  HEAT: 'heat',
+  INTENT: 'intent',
+};
+
+// How ranked thread values are split into heat levels (see utils/heatScale.js)
+export const BUCKETING_METHOD = {
+  QUANTILE: 'quantile',
+  THRESHOLDS: 'thresholds',
+  NATURAL_BREAKS: 'natural-breaks',
+  LOG: 'log',
+};
+
+// What a scoring strategy's heat values measure; decides which bucketing methods fit them
+export const HEAT_VALUE_TYPE = {
+  COUNT: 'count', // Comments, participants or decayed comment counts (0 and up)
+  TIME: 'time', // Milliseconds since the epoch
+  SCORE: 'score', // Relative score between 0 and 1
+};
+
+// Number of heat levels (comment-rank-0 … comment-rank-N-1)
+export const HEAT_LEVELS = {
+  DEFAULT: 4,
+  MIN: 2,
+  MAX: 8,
+};
+
+// Page sets the reviewer leaderboard can aggregate over
+export const LEADERBOARD_SCOPE = {
+  SPACE: 'space',
+  TREE: 'tree',
+  LABEL: 'label',
+};
+
+// Bucket sizes for the comment activity timeline
+export const TIMELINE_GRANULARITY = {
+  DAY: 'day',
+  WEEK: 'week',
+};
+
+// File formats offered by the sidebar's export action
+export const EXPORT_FORMAT = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+// Image formats offered by the heatmap snapshot export
+export const SNAPSHOT_FORMAT = {
+  PNG: 'png',
+  PDF: 'pdf',
 };
 
 // HTTP Headers
@@ -19,12 +122,23 @@ export const HTTP_HEADERS = {
 export const ERROR_MESSAGES = {
   // API Errors
   MISSING_PAGE_ID: 'Page ID is required',
+  MISSING_SPACE_ID: 'Space ID is required',
+  INVALID_LABEL: 'Enter a single label without spaces or quotes',
   MISSING_ACCOUNT_ID: 'Account ID is required',
   MISSING_PAGE_DATA: 'Page data is missing',
   MISSING_PAGE_DATA_FROM_API: 'Page data is missing from API response',
   MISSING_PAGE_ID_FROM_API: 'Page ID is missing from API response',
   INVALID_PAGE_CONTENT: 'Page content is missing or invalid. The page may be empty or corrupted.',
   FAILED_TO_LOAD_PAGE: 'Failed to load page',
+  FAILED_TO_LOAD_FOOTER_COMMENTS: 'Failed to load page comments',
+  NETWORK_ERROR: 'network request failed',
+  HTTP_STATUS_HINTS: {
+    401: 'you are not signed in to Confluence',
+    403: 'you do not have permission to view this content',
+    404: 'the requested content was not found',
+    429: 'Confluence is rate limiting requests, please try again shortly',
+  },
+  SERVER_ERROR_HINT: 'Confluence is temporarily unavailable, please try again shortly',
   
   // Context Errors
   COULD_NOT_EXTRACT_HOSTNAME: 'Could not extract Confluence hostname from URL.',
@@ -38,6 +152,162 @@ export const ERROR_MESSAGES = {
 export const UI_LABELS = {
   UNTITLED_PAGE: 'Untitled Page',
   EMPTY_COMMENT: '(empty)',
+  LOADING: 'Loading…',
+  TRY_AGAIN: 'Try again',
+  LOADED_COMMENTS: (count) => `Loaded ${count} ${count === 1 ? 'comment' : 'comments'}…`,
+  COMMENT_STATUS: {
+    [COMMENT_STATUS.OPEN]: 'Open',
+    [COMMENT_STATUS.RESOLVED]: 'Resolved',
+    [COMMENT_STATUS.ALL]: 'All',
+  },
+  FOOTER_COMMENTS: 'Page comments',
+  NO_FOOTER_COMMENTS: 'No page comments yet.',
+  INCLUDE_FOOTER_COMMENTS: 'Include page comments',
+  EMPTY_THREADS: {
+    [COMMENT_STATUS.OPEN]: 'No open comment threads found.',
+    [COMMENT_STATUS.RESOLVED]: 'No resolved comment threads found.',
+    [COMMENT_STATUS.ALL]: 'No comment threads found.',
+  },
+  PAGE_VERSION: 'Page version',
+  LATEST_VERSION: 'Latest',
+  VERSION_OPTION: (number, date) => `v${number}${date ? ` – ${date}` : ''}`,
+  VERSION_COMPARED_TO: (number) => `Compared with v${number}`,
+  FIRST_VERSION: 'First version of the page',
+  MARKERS_ADDED: (count) => `${count} ${count === 1 ? 'marker' : 'markers'} added`,
+  MARKERS_REMOVED: (count) => `${count} ${count === 1 ? 'marker' : 'markers'} removed`,
+  NO_MARKER_CHANGES: 'No comment markers added or removed.',
+  TIMELINE_GRANULARITY: {
+    [TIMELINE_GRANULARITY.DAY]: 'Day',
+    [TIMELINE_GRANULARITY.WEEK]: 'Week',
+  },
+  NEW_THREADS: 'New threads',
+  REPLIES: 'Replies',
+  NO_TIMELINE: 'No dated comments found.',
+  TIME_WINDOW: (label) => `Showing comments from ${label}`,
+  CLEAR_TIME_WINDOW: 'Show all',
+  AS_OF: 'As of',
+  AS_OF_NOW: 'Now',
+  PLAY: 'Play',
+  PAUSE: 'Pause',
+  REPLAY_COMMENT_COUNT: (count, total) => `${count} of ${total} comments`,
+  SPACE_DASHBOARD_TITLE: 'Space heatmap',
+  FILTER_PAGES: 'Filter pages by title',
+  ONLY_DISCUSSED_PAGES: 'Only pages with open threads',
+  SPACE_COLUMNS: {
+    title: 'Page',
+    openThreadCount: 'Open threads',
+    hottestThread: 'Hottest thread',
+    participantCount: 'Participants',
+    lastActivity: 'Last activity',
+  },
+  NO_MATCHING_PAGES: 'No pages match the current filters.',
+  SPACE_TRUNCATED: (count, skipped, isMinimum) =>
+    `Showing the ${count} most recently modified pages of this space; ${skipped}${isMinimum ? '+' : ''} more were left out.`,
+  NO_ACTIVITY: '—',
+  CHILD_PAGES: 'Child pages',
+  NO_CHILD_PAGES: 'This page has no child pages.',
+  NO_CHILD_DISCUSSION: 'No open comment threads on child pages.',
+  CHILD_PAGES_BY_HEAT: 'Child pages by discussion',
+  CHILD_PAGES_AUTHORS: 'Comments by author across child pages',
+  CHILD_PAGE_STATS: (comments, threads) =>
+    `${comments} ${comments === 1 ? 'comment' : 'comments'} in ${threads} open ${threads === 1 ? 'thread' : 'threads'}`,
+  TREE_TRUNCATED: (count, skipped, isMinimum) =>
+    `Only the first ${count} child pages are included; ${skipped}${isMinimum ? '+' : ''} more were left out.`,
+  SCORING_STRATEGY_LABEL: 'Heat by',
+  SCORING_STRATEGIES: {
+    [SCORING_STRATEGY.REPLIES]: 'Reply count',
+    [SCORING_STRATEGY.PARTICIPANTS]: 'Participants',
+    [SCORING_STRATEGY.RECENT]: 'Recent activity',
+    [SCORING_STRATEGY.COMBINED]: 'Combined',
+    [SCORING_STRATEGY.HOT]: 'Hot (decaying activity)',
+  },
+  HALF_LIFE_LABEL: 'Half-life',
+  HALF_LIFE_OPTION: (days) => `${days} ${days === 1 ? 'day' : 'days'}`,
+  SORT_TRENDING: 'Sort by trending',
+  TREND_SCORE: 'Trend score',
+  HIGHLIGHT_MODE_LABEL: 'Color by',
+  HIGHLIGHT_MODES: {
+    [HIGHLIGHT_MODE.HEAT]: 'Heat',
+    [HIGHLIGHT_MODE.INTENT]: 'Intent',
+  },
+  INTENTS: {
+    [COMMENT_INTENT.BLOCKER]: 'Blocker',
+    [COMMENT_INTENT.QUESTION]: 'Question',
+    [COMMENT_INTENT.SUGGESTION]: 'Suggestion',
+    [COMMENT_INTENT.NIT]: 'Nit',
+    [COMMENT_INTENT.PRAISE]: 'Praise',
+    [COMMENT_INTENT.OTHER]: 'Unclassified',
+  },
+  INTENT_THREAD_COUNT: (count) => `${count} ${count === 1 ? 'thread' : 'threads'}`,
+  UNANSWERED_THREADS: 'Unanswered',
+  NO_UNANSWERED_THREADS: 'Every thread has a reply from someone other than its author.',
+  UNANSWERED_WAITING_SINCE: (date) => `Waiting since ${date}`,
+  UNANSWERED_FOLLOW_UPS: (count) => `${count} ${count === 1 ? 'follow-up' : 'follow-ups'} by the author`,
+  BUCKETING_METHOD_LABEL: 'Buckets',
+  BUCKETING_METHODS: {
+    [BUCKETING_METHOD.QUANTILE]: 'Quantiles',
+    [BUCKETING_METHOD.THRESHOLDS]: 'Thresholds',
+    [BUCKETING_METHOD.NATURAL_BREAKS]: 'Natural breaks',
+    [BUCKETING_METHOD.LOG]: 'Log scale',
+  },
+  HEAT_LEVELS_LABEL: 'Levels',
+  HEAT_THRESHOLDS_LABEL: 'Thresholds',
+  HEAT_THRESHOLDS_HINT: 'e.g. 2, 4, 8',
+  BUCKETING_METHOD_UNAVAILABLE: 'Not available for this heat measure',
+  REVIEWER_LEADERBOARD: 'Reviewer leaderboard',
+  LEADERBOARD_SCOPES: {
+    [LEADERBOARD_SCOPE.SPACE]: 'This space',
+    [LEADERBOARD_SCOPE.TREE]: 'This page and its children',
+    [LEADERBOARD_SCOPE.LABEL]: 'Pages with label',
+  },
+  LEADERBOARD_LABEL_PLACEHOLDER: 'label',
+  SHOW_LEADERBOARD: 'Show',
+  LEADERBOARD_COLUMNS: {
+    reviewer: 'Reviewer',
+    commentCount: 'Comments',
+    newThreads: 'New threads',
+    replies: 'Replies',
+    pagesTouched: 'Pages',
+  },
+  LEADERBOARD_SUMMARY: (pageCount) => `Across ${pageCount} ${pageCount === 1 ? 'page' : 'pages'}`,
+  NO_REVIEWERS: 'No comments found on these pages.',
+  EXPORT_DATA: 'Export',
+  EXPORT_THREADS: 'Threads',
+  EXPORT_AUTHORS: 'Authors',
+  EXPORT_FORMATS: {
+    [EXPORT_FORMAT.CSV]: 'CSV',
+    [EXPORT_FORMAT.JSON]: 'JSON',
+  },
+  EXPORT_FAILED: 'Export failed. Please try again.',
+  EXPORT_SNAPSHOT: 'Snapshot',
+  EXPORT_REPORT: 'Report',
+  DOWNLOAD_REPORT: 'Download',
+  COPY_REPORT: 'Copy',
+  REPORT_COPIED: 'Copied',
+  REPORT_TITLE: (title) => `Review report: ${title}`,
+  REPORT_SUMMARY: ({ generatedAt, status, threadCount, commentCount }) =>
+    `Generated ${generatedAt} · ${status} threads · ${threadCount} ${threadCount === 1 ? 'thread' : 'threads'}, ` +
+    `${commentCount} ${commentCount === 1 ? 'comment' : 'comments'}`,
+  REPORT_TOP_THREADS: 'Top threads',
+  REPORT_THREAD_STATS: (comments, participants) =>
+    `${comments} ${comments === 1 ? 'comment' : 'comments'}, ${participants} ${participants === 1 ? 'participant' : 'participants'}`,
+  REPORT_NO_SELECTION: '(No selection)',
+  REPORT_NO_THREADS: 'No comment threads.',
+  REPORT_REVIEWERS: 'Reviewers',
+  REPORT_NO_REVIEWERS: 'No reviewers.',
+  REPORT_REVIEWER_COLUMNS: ['Reviewer', 'Comments', 'Threads started'],
+  REPORT_UNANSWERED: 'Unanswered threads',
+  SNAPSHOT_FORMATS: {
+    [SNAPSHOT_FORMAT.PNG]: 'PNG',
+    [SNAPSHOT_FORMAT.PDF]: 'PDF',
+  },
+  SNAPSHOT_EXPORTED_AT: (time) => `Exported ${time}`,
+  HEATMAP_LEGEND_TITLE: 'Discussion:',
+  HEATMAP_LEGEND: {
+    LOW: 'Quiet',
+    HIGH: 'Hottest',
+  },
+  LEADERBOARD_TRUNCATED: (skipped, isMinimum) => `${skipped}${isMinimum ? '+' : ''} more left out`,
 };
 
 // Default values
@@ -53,12 +323,88 @@ export const DATE_FORMAT = {
   },
 };
 
+// Retry policy for Confluence API requests
+export const RETRY_CONFIG = {
+  MAX_ATTEMPTS: 4, // Total attempts per call, including the first
+  BASE_DELAY_MS: 500, // Backoff before the first retry, doubled on each attempt
+  MAX_DELAY_MS: 8000, // Cap for computed backoff delays
+  MAX_RETRY_AFTER_MS: 60000, // Cap for server-provided Retry-After delays
+  RETRYABLE_STATUSES: [408, 429, 500, 502, 503, 504],
+};
+
+// Request throttling
+export const REQUEST_LIMITS = {
+  // Maximum number of per-thread reply lookups in flight at once
+  COMMENT_CHILDREN_CONCURRENCY: 5,
+  // Account IDs per bulk user request (keeps URLs well under length limits)
+  USER_BULK_CHUNK_SIZE: 50,
+  // Maximum number of user requests (bulk chunks or single lookups) in flight at once
+  USER_LOOKUP_CONCURRENCY: 4,
+  // How long a failed user lookup is remembered before it may be retried automatically
+  USER_FAILURE_RETRY_MS: 60000,
+  // Maximum number of pages whose comments are fetched at once for multi-page summaries
+  PAGE_SUMMARY_CONCURRENCY: 4,
+  // Pages whose comments are fetched per resolver call; the rest of a space, tree or label
+  // is left out (and counted) so each call stays well inside the Forge resolver time limit
+  MAX_SUMMARY_PAGES: 40,
+  // Pages listed to count how many a summary left out; longer listings give a lower bound
+  MAX_LISTED_PAGES: 1000,
+  // Pages whose comment fetch has not started after this long are left out too (the Forge
+  // resolver limit is 25 seconds)
+  SUMMARY_TIME_BUDGET_MS: 15000,
+};
+
+// Persistent user profile cache (browser storage)
+export const USER_PROFILE_STORAGE = {
+  KEY: 'heatmap.userProfiles',
+  SCHEMA_VERSION: 1, // Bump when the stored shape changes; older data is discarded
+  TTL_MS: 7 * 24 * 60 * 60 * 1000, // Profiles older than this are not served
+  MAX_ENTRIES: 500, // Oldest profiles are dropped beyond this count
+};
+
+// Heatmap snapshots cached by the resolver (Forge storage)
+export const HEATMAP_SNAPSHOT = {
+  KEY_PREFIX: 'heatmap-snapshot:',
+  SCHEMA_VERSION: 1, // Bump when the stored shape changes; older snapshots are discarded
+  MAX_BYTES: 200 * 1024, // Forge storage values are capped at 240 KiB; larger snapshots are not cached
+};
+
+// Resolver functions defined in src/index.js (called through invoke)
+export const RESOLVER_FUNCTIONS = {
+  GET_HEATMAP_DATA: 'getHeatmapData',
+  GET_SPACE_SUMMARY: 'getSpaceSummary',
+  GET_PAGE_TREE_SUMMARY: 'getPageTreeSummary',
+  GET_REVIEWER_LEADERBOARD: 'getReviewerLeaderboard',
+};
+
 // API Endpoints (GET requests only)
 export const API_ENDPOINTS = {
   PAGE: (pageId) => `/wiki/api/v2/pages/${pageId}?body-format=storage`,
-  INLINE_COMMENTS: (pageId) =>
-    `/wiki/api/v2/inline-comments?body-format=atlas_doc_format&resolution-status=open&status=current&limit=250`,
+  INLINE_COMMENTS: (pageId, status = COMMENT_STATUS.OPEN) =>
+    `/wiki/api/v2/pages/${pageId}/inline-comments?body-format=atlas_doc_format${(RESOLUTION_STATUSES[status] || [])
+      .map((value) => `&resolution-status=${value}`)
+      .join('')}&status=current&limit=250`,
+  INLINE_COMMENT_CHILDREN: (commentId) =>
+    `/wiki/api/v2/inline-comments/${commentId}/children?body-format=atlas_doc_format&limit=250`,
+  FOOTER_COMMENTS: (pageId) =>
+    `/wiki/api/v2/pages/${pageId}/footer-comments?body-format=atlas_doc_format&status=current&limit=250`,
+  FOOTER_COMMENT_CHILDREN: (commentId) =>
+    `/wiki/api/v2/footer-comments/${commentId}/children?body-format=atlas_doc_format&limit=250`,
   USER: (accountId) => `/wiki/rest/api/user?accountId=${encodeURIComponent(accountId)}`,
+  USERS_BULK: (accountIds) =>
+    `/wiki/rest/api/user/bulk?${accountIds
+      .map((accountId) => `accountId=${encodeURIComponent(accountId)}`)
+      .join('&')}&limit=${accountIds.length}`,
+  SPACE_PAGES: (spaceId) =>
+    `/wiki/api/v2/spaces/${spaceId}/pages?status=current&sort=-modified-date&limit=250`,
+  LABEL_PAGES: (label) =>
+    `/wiki/rest/api/search?cql=${encodeURIComponent(`type=page AND label="${label}"`)}&limit=100`,
+  PAGE_DESCENDANTS: (pageId) =>
+    `/wiki/api/v2/pages/${pageId}/descendants?depth=5&limit=250`,
+  PAGE_VERSIONS: (pageId) =>
+    `/wiki/api/v2/pages/${pageId}/versions?sort=-modified-date&limit=50`,
+  PAGE_AT_VERSION: (pageId, versionNumber) =>
+    `/wiki/api/v2/pages/${pageId}?body-format=storage&version=${versionNumber}`,
   ATTACHMENT: (baseUrl, pageId, filename) =>
     `${baseUrl}/wiki/download/attachments/${pageId}/${filename}?api=v2`,
 };
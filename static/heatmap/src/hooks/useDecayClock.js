@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+import { resolveDecayTime } from '../utils/scoringStrategies';
+
+// How often the live reference time of time-decayed scores moves on
+const TICK_MS = 60 * 1000;
+
+/**
+ * Hook returning the live reference time of time-decayed scores (the current minute,
+ * see resolveDecayTime). While enabled it advances every minute, so hot heat and the
+ * trending sort keep decaying on a page left open.
+ * 
+ * @param {boolean} enabled - Whether a time-decayed score is shown
+ * @returns {number|undefined} Reference time in milliseconds since the epoch, or undefined when disabled
+ */
+export function useDecayClock(enabled) {
+  const [now, setNow] = useState(() => resolveDecayTime());
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    setNow(resolveDecayTime());
+    const timer = setInterval(() => setNow(resolveDecayTime()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [enabled]);
+
+  return enabled ? now : undefined;
+}
@@ -0,0 +1,88 @@
+import { useInsertionEffect, useMemo } from 'react';
+import { processedHTML } from '../utils/htmlProcessing';
+import { getInlineMarkerRefToColor, getInlineMarkerRefToIntentClass } from '../utils/colorStrip';
+import { DEFAULT_SCORING_STRATEGY } from '../utils/scoringStrategies';
+import { APP_INTENT_LEXICON } from '../utils/intentClassifier';
+import { applyRankStyles, normalizeHeatScale, DEFAULT_HEAT_SCALE } from '../utils/heatScale';
+import { COMMENT_STATUS, HALF_LIFE_DAYS, HIGHLIGHT_MODE } from '../constants';
+
+/**
+ * Hook producing the highlighted page body HTML for a set of comments.
+ * Re-processes the HTML whenever the body, comments, status filter, highlight mode, scoring strategy
+ * or heat scale change, and keeps the generated comment-rank-N styles in line with the scale's number
+ * of levels.
+ * 
+ * @param {Object} params
+ * @param {Object|null} params.page - Page (or page version) with id and body.storage.value
+ * @param {string|null} params.baseUrl - Confluence base URL, for attachment links
+ * @param {Array} params.comments - Inline comments driving the highlight colors
+ * @param {string} [params.status=COMMENT_STATUS.OPEN] - Active status filter
+ * @param {string} [params.highlightMode=HIGHLIGHT_MODE.HEAT] - Color threads by heat or by intent
+ * @param {IntentLexicon} [params.intentLexicon=APP_INTENT_LEXICON] - Rules classifying threads in intent mode
+ * @param {string} [params.scoringStrategy=DEFAULT_SCORING_STRATEGY] - Strategy ranking the threads' heat
+ * @param {HeatScale} [params.heatScale=DEFAULT_HEAT_SCALE] - How ranked threads are split into heat levels
+ * @param {number} [params.halfLifeDays=HALF_LIFE_DAYS.DEFAULT] - Half-life of SCORING_STRATEGY.HOT
+ * @param {number} [params.now] - Reference time of SCORING_STRATEGY.HOT (defaults to the current time)
+ * @param {Object|null} [params.markerClasses] - inlineMarkerRef -> CSS class map precomputed by the
+ *   resolver for exactly these comments, the default strategy and the default scale; skips ranking in the
+ *   browser when provided (heat mode only)
+ * @param {Array<string>} [params.addedMarkerRefs] - Marker refs to flag with 'comment-version-added'
+ * @param {Array<string>} [params.unansweredMarkerRefs] - Marker refs to flag with 'comment-unanswered'
+ * @returns {string} Processed HTML ready for rendering ('' while the page is missing)
+ */
+export function useHeatmapHtml({
+  page,
+  baseUrl,
+  comments,
+  status = COMMENT_STATUS.OPEN,
+  highlightMode = HIGHLIGHT_MODE.HEAT,
+  intentLexicon = APP_INTENT_LEXICON,
+  scoringStrategy = DEFAULT_SCORING_STRATEGY,
+  heatScale = DEFAULT_HEAT_SCALE,
+  halfLifeDays = HALF_LIFE_DAYS.DEFAULT,
+  now,
+  markerClasses = null,
+  addedMarkerRefs = null,
+  unansweredMarkerRefs = null,
+}) {
+  const { levels } = normalizeHeatScale(heatScale);
+  // Injected before the highlighted HTML is painted
+  useInsertionEffect(() => {
+    applyRankStyles(levels);
+  }, [levels]);
+
+  return useMemo(() => {
+    if (!page?.body?.storage?.value) return '';
+
+    let colorMap;
+    if (highlightMode === HIGHLIGHT_MODE.INTENT) {
+      colorMap = getInlineMarkerRefToIntentClass(comments, status, intentLexicon);
+    } else {
+      colorMap = markerClasses
+        ? new Map(Object.entries(markerClasses))
+        : getInlineMarkerRefToColor(comments, status, scoringStrategy, heatScale, { halfLifeDays, now });
+    }
+    addedMarkerRefs?.forEach((ref) => {
+      if (colorMap.has(ref)) colorMap.set(ref, `${colorMap.get(ref)} comment-version-added`);
+    });
+    unansweredMarkerRefs?.forEach((ref) => {
+      if (colorMap.has(ref)) colorMap.set(ref, `${colorMap.get(ref)} comment-unanswered`);
+    });
+
+    return processedHTML(page.body.storage.value, page.id, baseUrl, comments, status, colorMap);
+  }, [
+    page,
+    baseUrl,
+    comments,
+    status,
+    highlightMode,
+    intentLexicon,
+    scoringStrategy,
+    heatScale,
+    halfLifeDays,
+    now,
+    markerClasses,
+    addedMarkerRefs,
+    unansweredMarkerRefs,
+  ]);
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { view } from '@forge/bridge';
+
+/**
+ * Hook returning the Confluence module the app was opened in (one of CONFLUENCE_MODULES,
+ * or another module type such as 'confluence:fullPage').
+ * 
+ * @returns {Object} { moduleType: string|null (null while loading), spaceKey: string|null,
+ *   spaceId: string|null }
+ */
+export function useModuleType() {
+  const [moduleContext, setModuleContext] = useState({ moduleType: null, spaceKey: null, spaceId: null });
+
+  useEffect(() => {
+    let isMounted = true;
+
+    view.getContext()
+      .then((context) => {
+        if (!isMounted) return;
+        setModuleContext({
+          moduleType: context.extension?.type || '',
+          spaceKey: context.extension?.space?.key || null,
+          spaceId: context.extension?.space?.id ? String(context.extension.space.id) : null,
+        });
+      })
+      .catch(() => {
+        // Without context, fall back to the page heatmap (which reports its own errors)
+        if (isMounted) setModuleContext({ moduleType: '', spaceKey: null, spaceId: null });
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  return moduleContext;
+}
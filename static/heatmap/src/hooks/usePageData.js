@@ -1,35 +1,82 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { view } from "@forge/bridge";
 import { navigateToFullPage } from "../utils/navigation";
-import { loadPage } from "../utils/pageLoader";
-import { CONFLUENCE_MODULES, ERROR_MESSAGES } from "../constants";
+import { loadPage, loadAllInlineComments, revalidatePage } from "../utils/pageLoader";
+import { isAbortError } from "../utils/abort";
+import { userCache } from "../utils/userCache";
+import { COMMENT_STATUS, CONFLUENCE_MODULES, ERROR_MESSAGES } from "../constants";
 import { useSafeAsync } from "./useSafeAsync";
 
+/**
+ * Checks whether comments fetched with one status filter can serve another.
+ * A set fetched with COMMENT_STATUS.ALL covers every filter.
+ */
+function coversStatus(loadedStatus, requestedStatus) {
+  return loadedStatus === COMMENT_STATUS.ALL || loadedStatus === requestedStatus;
+}
+
 /**
  * Hook for managing page data loading with safe async operations.
  * Automatically handles byline item extension context by navigating to full page view.
- * For full page context, loads page content, converts HTML, and fetches inline comments.
+ * For full page context, loads page content and fetches inline and footer comments.
+ * While comments are paginating in, loadedCommentCount tracks how many have arrived.
+ * 
+ * The status filter (open / resolved / all) decides which threads are loaded. Only
+ * open threads are fetched initially; switching to another status re-fetches every
+ * thread once, after which all filters are served from memory.
+ * When the resolver supplied precomputed aggregates, they are returned as heatmap
+ * (keyed by status) so callers can skip ranking comments in the browser.
+ * A load served from the resolver's snapshot cache renders immediately and is then
+ * revalidated in the background (isRefreshing is true meanwhile); the fresh data
+ * replaces it only if the comment set has changed.
+ * 
+ * Reloading (e.g. the error view's retry) also retries user profiles whose lookup failed,
+ * skipping their cooldown.
+ * Footer comments load independently: if they fail, footerError explains why and the
+ * inline heatmap is still shown.
  * 
- * @returns {Object} Object containing page, html, comments, error, isLoading, and loadPageData
+ * @returns {Object} Object containing page, baseUrl, heatmap, comments, footerComments, footerError, status, setStatus, isRefreshing,
+ *   error, isErrorRetryable, isLoading, loadedCommentCount, and loadPageData
  */
 export function usePageData() {
   const [page, setPage] = useState(null);
-  const [html, setHtml] = useState("");
+  const [baseUrl, setBaseUrl] = useState(null);
   const [comments, setComments] = useState([]);
+  const [footerComments, setFooterComments] = useState([]);
+  const [footerError, setFooterError] = useState(null);
+  const [heatmap, setHeatmap] = useState(null);
+  const [status, setStatusState] = useState(COMMENT_STATUS.OPEN);
+  const [isRefreshing, setIsRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [isErrorRetryable, setIsErrorRetryable] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [loadedCommentCount, setLoadedCommentCount] = useState(0);
+
+  // Refs for synchronous access from callbacks without re-creating them
+  const statusRef = useRef(COMMENT_STATUS.OPEN);
+  const loadedStatusRef = useRef(null);
+  const pageIdRef = useRef(null);
   
   const { setSafeState, startRequest } = useSafeAsync();
 
   const loadPageData = useCallback(async () => {
-    const currentRequestId = startRequest();
+    // Starting a new request aborts any load or status refresh still in flight
+    const { requestId: currentRequestId, signal } = startRequest();
     // Wrapper to ensure all state updates are safe (checks mount status and request ID)
     const safeUpdate = (setter, value) => {
       setSafeState(setter, value, currentRequestId);
     };
     
     safeUpdate(setIsLoading, true);
+    safeUpdate(setIsRefreshing, false);
     safeUpdate(setError, null);
+    safeUpdate(setIsErrorRetryable, false);
+    safeUpdate(setLoadedCommentCount, 0);
+
+    // Components re-read profiles once the reloaded comments arrive and join these lookups
+    userCache.retryFailedUsers({ signal }).catch((err) => {
+      if (!isAbortError(err)) console.warn('Failed to retry user lookups:', err);
+    });
 
     try {
       const context = await view.getContext();
@@ -42,21 +89,117 @@ export function usePageData() {
         return;
       }
 
-      const { page: loadedPage, html: convertedHtml, comments: inlineComments } = await loadPage();
+      // Keep the current filter on reload; anything beyond open threads needs the full set
+      const fetchStatus = statusRef.current === COMMENT_STATUS.OPEN
+        ? COMMENT_STATUS.OPEN
+        : COMMENT_STATUS.ALL;
+
+      const {
+        page: loadedPage,
+        comments: inlineComments,
+        footerComments: loadedFooterComments,
+        footerError: loadedFooterError,
+        heatmap: loadedHeatmap,
+        status: loadedStatus,
+        signature,
+        cached,
+        contextInfo,
+        baseUrl: loadedBaseUrl,
+      } = await loadPage({
+        status: fetchStatus,
+        onProgress: (count) => safeUpdate(setLoadedCommentCount, count),
+        signal,
+      });
+      pageIdRef.current = contextInfo.pageId;
+      loadedStatusRef.current = loadedStatus;
       safeUpdate(setPage, loadedPage);
-      safeUpdate(setHtml, convertedHtml);
+      safeUpdate(setBaseUrl, loadedBaseUrl);
       safeUpdate(setComments, inlineComments);
+      safeUpdate(setFooterComments, loadedFooterComments);
+      safeUpdate(setFooterError, loadedFooterError);
+      safeUpdate(setHeatmap, loadedHeatmap);
       safeUpdate(setIsLoading, false);
+
+      if (cached) {
+        safeUpdate(setIsRefreshing, true);
+        try {
+          const fresh = await revalidatePage(contextInfo.pageId, { status: loadedStatus, signal });
+          if (fresh.signature !== signature) {
+            safeUpdate(setPage, fresh.page);
+            safeUpdate(setComments, fresh.comments);
+            safeUpdate(setFooterComments, fresh.footerComments);
+            safeUpdate(setFooterError, fresh.footerError);
+            safeUpdate(setHeatmap, fresh.heatmap);
+          }
+        } catch (err) {
+          // The snapshot is still usable; keep showing it
+          if (!isAbortError(err)) {
+            console.warn('Failed to revalidate cached heatmap data:', err);
+          }
+        } finally {
+          safeUpdate(setIsRefreshing, false);
+        }
+      }
       
     } catch (err) {
+      // Superseded by a newer request; that request owns the loading state now
+      if (isAbortError(err)) return;
       safeUpdate(setError, err.message || ERROR_MESSAGES.UNEXPECTED_ERROR);
+      safeUpdate(setIsErrorRetryable, Boolean(err.retryable));
       safeUpdate(setIsLoading, false);
     }
   }, [setSafeState, startRequest]);
 
+  // Switches the status filter, fetching every thread if the loaded set doesn't cover it
+  const setStatus = useCallback(async (nextStatus) => {
+    statusRef.current = nextStatus;
+    setStatusState(nextStatus);
+
+    if (!pageIdRef.current || coversStatus(loadedStatusRef.current, nextStatus)) {
+      return;
+    }
+
+    const { requestId: currentRequestId, signal } = startRequest();
+    const safeUpdate = (setter, value) => {
+      setSafeState(setter, value, currentRequestId);
+    };
+
+    safeUpdate(setIsRefreshing, true);
+    try {
+      const { comments: allComments, heatmap: allHeatmap } = await loadAllInlineComments(
+        pageIdRef.current,
+        { signal }
+      );
+      loadedStatusRef.current = COMMENT_STATUS.ALL;
+      safeUpdate(setComments, allComments);
+      safeUpdate(setHeatmap, allHeatmap);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      safeUpdate(setError, err.message || ERROR_MESSAGES.UNEXPECTED_ERROR);
+      safeUpdate(setIsErrorRetryable, Boolean(err.retryable));
+    } finally {
+      safeUpdate(setIsRefreshing, false);
+    }
+  }, [setSafeState, startRequest]);
+
   useEffect(() => {
     loadPageData();
   }, [loadPageData]);
 
-  return { page, html, comments, error, isLoading, loadPageData };
+  return {
+    page,
+    baseUrl,
+    heatmap,
+    comments,
+    footerComments,
+    footerError,
+    status,
+    setStatus,
+    isRefreshing,
+    error,
+    isErrorRetryable,
+    isLoading,
+    loadedCommentCount,
+    loadPageData,
+  };
 }
@@ -0,0 +1,138 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { getPageVersions, getPageAtVersion } from '../api/confluence';
+import { filterCommentsAsOf } from '../utils/commentFilters';
+import { extractMarkerRefs, diffMarkerRefs } from '../utils/versionDiff';
+import { isAbortError } from '../utils/abort';
+import { ERROR_MESSAGES } from '../constants';
+import { useSafeAsync } from './useSafeAsync';
+
+/**
+ * Hook for browsing a page's version history with per-version heatmaps.
+ * 
+ * Selecting a version loads that version's storage body (and the previous version's,
+ * to diff inline comment markers) and narrows the comments to those that existed
+ * while the version was current, i.e. created before the next version was published.
+ * Render the result with useHeatmapHtml. Loaded bodies are kept in memory, so moving
+ * back and forth is instant.
+ * 
+ * @param {Object} params
+ * @param {Object|null} params.page - Latest page data (from usePageData)
+ * @param {Array} params.comments - Inline comments of the latest page
+ * @returns {Object} Object containing versions, selectedVersion, selectVersion, versionPage (null for the
+ *   latest version), comments (as of the selected version), markerDiff, addedMarkerRefs (markers to flag
+ *   in the body), isLoadingVersion, and versionError
+ */
+export function usePageVersions({ page, comments }) {
+  const pageId = page?.id || null;
+  const [versions, setVersions] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [versionPage, setVersionPage] = useState(null);
+  const [previousPage, setPreviousPage] = useState(null);
+  const [isLoadingVersion, setIsLoadingVersion] = useState(false);
+  const [versionError, setVersionError] = useState(null);
+
+  // Version number -> page data, for the current page only
+  const pageCacheRef = useRef(new Map());
+  const { setSafeState, startRequest } = useSafeAsync();
+
+  // Load the version list once the page is known
+  useEffect(() => {
+    if (!pageId) return;
+
+    const controller = new AbortController();
+    pageCacheRef.current = new Map();
+
+    getPageVersions(pageId, { signal: controller.signal })
+      .then((result) => {
+        if (!controller.signal.aborted) setVersions(result);
+      })
+      .catch((err) => {
+        // The picker simply stays unavailable
+        if (!isAbortError(err)) console.warn('Failed to load page versions:', err);
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [pageId]);
+
+  const loadVersion = useCallback(async (versionNumber, signal) => {
+    const cached = pageCacheRef.current.get(versionNumber);
+    if (cached) return cached;
+    const loaded = await getPageAtVersion(pageId, versionNumber, { signal });
+    pageCacheRef.current.set(versionNumber, loaded);
+    return loaded;
+  }, [pageId]);
+
+  // Selects a version to display; null returns to the latest page
+  const selectVersion = useCallback(async (versionNumber) => {
+    const { requestId, signal } = startRequest();
+    const safeUpdate = (setter, value) => {
+      setSafeState(setter, value, requestId);
+    };
+
+    safeUpdate(setSelectedVersion, versionNumber);
+    safeUpdate(setVersionError, null);
+
+    if (versionNumber === null) {
+      safeUpdate(setVersionPage, null);
+      safeUpdate(setPreviousPage, null);
+      safeUpdate(setIsLoadingVersion, false);
+      return;
+    }
+
+    safeUpdate(setIsLoadingVersion, true);
+    try {
+      const [selected, previous] = await Promise.all([
+        loadVersion(versionNumber, signal),
+        versionNumber > 1 ? loadVersion(versionNumber - 1, signal) : null,
+      ]);
+      safeUpdate(setVersionPage, selected);
+      safeUpdate(setPreviousPage, previous);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      safeUpdate(setVersionError, err.message || ERROR_MESSAGES.UNEXPECTED_ERROR);
+    } finally {
+      safeUpdate(setIsLoadingVersion, false);
+    }
+  }, [loadVersion, setSafeState, startRequest]);
+
+  // A version was current until the next one was published (the latest is current now)
+  const asOf = useMemo(() => {
+    if (!versionPage) return null;
+    const nextVersion = versions.find((version) => version.number === versionPage.version?.number + 1);
+    return nextVersion?.createdAt || null;
+  }, [versionPage, versions]);
+
+  const versionComments = useMemo(
+    () => (versionPage ? filterCommentsAsOf(comments, asOf) : comments),
+    [versionPage, comments, asOf]
+  );
+
+  const markerDiff = useMemo(() => {
+    if (!versionPage) return null;
+    const currentRefs = extractMarkerRefs(versionPage.body?.storage?.value);
+    if (!previousPage) {
+      return { previousNumber: null, added: currentRefs, removed: [] };
+    }
+    return {
+      previousNumber: previousPage.version?.number ?? null,
+      ...diffMarkerRefs(extractMarkerRefs(previousPage.body?.storage?.value), currentRefs),
+    };
+  }, [versionPage, previousPage]);
+
+  // Only flag additions when there is an earlier version to compare with
+  const addedMarkerRefs = markerDiff?.previousNumber ? markerDiff.added : null;
+
+  return {
+    versions,
+    selectedVersion,
+    selectVersion,
+    versionPage,
+    comments: versionComments,
+    markerDiff,
+    addedMarkerRefs,
+    isLoadingVersion,
+    versionError,
+  };
+}
@@ -5,11 +5,16 @@ import { useRef, useCallback, useEffect } from 'react';
  * Prevents state updates after component unmount and handles race conditions
  * by tracking request IDs to ignore stale async responses.
  * 
+ * Each request generation also gets an AbortSignal. Starting a new request (or
+ * unmounting) aborts the previous generation's signal so superseded work stops
+ * issuing further API calls instead of just having its results ignored.
+ * 
  * @returns {Object} Object containing setSafeState and startRequest functions
  */
 export function useSafeAsync() {
   const isMountedRef = useRef(true);
   const requestIdRef = useRef(0);
+  const abortControllerRef = useRef(null);
 
   // Only updates state if component is mounted and request ID matches current request
   // This prevents updates from stale/out-of-order async operations
@@ -19,9 +24,14 @@ export function useSafeAsync() {
     }
   }, []);
 
-  // Generates a new request ID for each async operation
+  // Aborts the previous generation and returns the new request ID with its signal
   const startRequest = useCallback(() => {
-    return ++requestIdRef.current;
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = new AbortController();
+    return {
+      requestId: ++requestIdRef.current,
+      signal: abortControllerRef.current.signal,
+    };
   }, []);
 
   useEffect(() => {
@@ -29,6 +39,7 @@ export function useSafeAsync() {
     return () => {
       isMountedRef.current = false;
       requestIdRef.current++;
+      abortControllerRef.current?.abort();
     };
   }, []);
 
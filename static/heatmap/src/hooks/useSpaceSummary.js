@@ -0,0 +1,50 @@
+import { useState, useCallback, useEffect } from 'react';
+import { getSpaceSummary } from '../api/resolver';
+import { isAbortError } from '../utils/abort';
+import { ERROR_MESSAGES } from '../constants';
+import { useSafeAsync } from './useSafeAsync';
+
+/**
+ * Hook loading the per-page discussion summary of the current space
+ * (space page module only).
+ * 
+ * @returns {Object} Object containing pages, truncation ({ count, isMinimum } of left-out pages,
+ *   or null), error, isLoading, and loadSummary
+ */
+export function useSpaceSummary() {
+  const [pages, setPages] = useState([]);
+  const [truncation, setTruncation] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const { setSafeState, startRequest } = useSafeAsync();
+
+  const loadSummary = useCallback(async () => {
+    const { requestId, signal } = startRequest();
+    const safeUpdate = (setter, value) => {
+      setSafeState(setter, value, requestId);
+    };
+
+    safeUpdate(setIsLoading, true);
+    safeUpdate(setError, null);
+
+    try {
+      const summary = await getSpaceSummary({ signal });
+      safeUpdate(setPages, summary?.pages || []);
+      safeUpdate(setTruncation, summary?.truncated
+        ? { count: summary.truncatedCount, isMinimum: Boolean(summary.truncatedCountIsMinimum) }
+        : null);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      safeUpdate(setError, err.message || ERROR_MESSAGES.UNEXPECTED_ERROR);
+    } finally {
+      safeUpdate(setIsLoading, false);
+    }
+  }, [setSafeState, startRequest]);
+
+  useEffect(() => {
+    loadSummary();
+  }, [loadSummary]);
+
+  return { pages, truncation, error, isLoading, loadSummary };
+}
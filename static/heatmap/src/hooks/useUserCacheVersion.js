@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { userCache } from '../utils/userCache';
+
+/**
+ * Hook returning a counter that increments whenever cached user profiles change
+ * (e.g. after a background refresh of profiles restored from storage).
+ * Add it to effect dependencies to re-read names and avatars from the cache.
+ * 
+ * @returns {number} Cache version counter
+ */
+export function useUserCacheVersion() {
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    return userCache.subscribe(() => setVersion((current) => current + 1));
+  }, []);
+
+  return version;
+}
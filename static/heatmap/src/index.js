@@ -13,6 +13,8 @@ import './styles/typography.css';
 import './styles/content.css';
 import './styles/comments.css';
 import './styles/chart.css';
+import './styles/controls.css';
+import './styles/dashboard.css';
 
 ReactDOM.render(
   <React.StrictMode>
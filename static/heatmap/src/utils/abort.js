@@ -0,0 +1,95 @@
+/**
+ * Helpers for cancelling async work with AbortSignal.
+ * 
+ * Forge bridge requests cannot be cancelled once sent (the signal can't cross the
+ * iframe boundary), so these helpers stop callers from waiting on superseded work
+ * and prevent follow-up requests (retries, further pages, user lookups) from starting.
+ */
+
+/**
+ * Creates the error used to reject work cancelled through a signal.
+ * Uses the signal's own reason when it provides one.
+ * 
+ * @param {AbortSignal} [signal] - The aborted signal
+ * @returns {Error} Error with name 'AbortError'
+ */
+function createAbortError(signal) {
+  if (signal?.reason instanceof Error) {
+    return signal.reason;
+  }
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+/**
+ * Checks whether an error was caused by cancellation rather than a real failure.
+ * 
+ * @param {*} error - Caught error
+ * @returns {boolean} True for abort errors
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Throws an abort error if the signal has already been aborted.
+ * 
+ * @param {AbortSignal} [signal] - Optional signal
+ * @throws {Error} Abort error when the signal is aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError(signal);
+  }
+}
+
+/**
+ * Races a promise against a signal, rejecting as soon as the signal aborts.
+ * The underlying work is not stopped; its result is simply ignored.
+ * 
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Optional signal
+ * @returns {Promise} Settles with the promise, or rejects with an abort error
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError(signal));
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Waits for the given time, rejecting early if the signal aborts.
+ * 
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.reject(createAbortError(signal));
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError(signal));
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
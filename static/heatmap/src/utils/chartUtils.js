@@ -1,5 +1,14 @@
-import { rankParentsByReplies, getCommentLabel } from './commentRanking';
+import { getCommentLabel, isResolvedThread } from './commentRanking';
 import { calculateScore } from './colorStrip';
+import {
+  rankThreads,
+  getDecayedActivity,
+  resolveDecayTime,
+  getStrategyValueType,
+  DEFAULT_SCORING_STRATEGY,
+} from './scoringStrategies';
+import { fitHeatScale, getRankColors, normalizeHeatScale, DEFAULT_HEAT_SCALE } from './heatScale';
+import { COMMENT_INTENT, THREAD_SORT, UI_LABELS } from '../constants';
 
 // Atlassian Design System color palette
 export const COLORS = {
@@ -8,59 +17,99 @@ export const COLORS = {
   N40: '#DFE1E6',
 };
 
-// Comment rank colors matching inline comment highlighting (from comments.css)
-export const RANK_COLORS = {
-  0: { normal: '#f5ec8e', emphasis: '#f9e85a' }, // Lightest - lowest reply count (yellow)
-  1: { normal: '#f7b457', emphasis: '#f4a030' }, // Light-medium (orange)
-  2: { normal: '#FE7440', emphasis: '#FE5A1A' }, // Medium-dark (darker orange)
-  3: { normal: '#FE2923', emphasis: '#E01A1A' }, // Darkest - highest reply count (red)
+// Comment rank colors for the default number of heat levels, indexed by level
+// (0 = lightest yellow … 3 = darkest red); see getRankColors for other level counts
+export const RANK_COLORS = getRankColors(DEFAULT_HEAT_SCALE.levels);
+
+// Thread intent colors, shared by the page highlights (comments.css) and the intent chart
+export const INTENT_COLORS = {
+  [COMMENT_INTENT.BLOCKER]: '#FF8F73',
+  [COMMENT_INTENT.QUESTION]: '#79E2F2',
+  [COMMENT_INTENT.SUGGESTION]: '#B3A9EE',
+  [COMMENT_INTENT.NIT]: '#FFE380',
+  [COMMENT_INTENT.PRAISE]: '#79F2C0',
+  [COMMENT_INTENT.OTHER]: '#DFE1E6',
 };
 
+// Bar opacity for resolved threads (shown when the status filter includes them)
+const RESOLVED_BAR_OPACITY = 0.45;
+
 /**
  * Calculates base chart data for comment replies chart.
  * Processes comments, ranks them, calculates scores, and prepares chart-ready data.
+ * Bars are colored by the scoring strategy's ranking of all threads, so each bar has the
+ * same color as its highlight on the page. They are ordered by that ranking too, or with
+ * THREAD_SORT.TRENDING by decayed recent activity (see getDecayedActivity).
  * 
  * @param {Array} comments - Array of comment objects
  * @param {string} status - Filter comments by status
  * @param {number} maxItems - Maximum number of items to display
- * @returns {Object|null} Object containing labels, data, participantCounts, and height, or null if no data
+ * @param {string} [strategy=DEFAULT_SCORING_STRATEGY] - One of SCORING_STRATEGY
+ * @param {HeatScale} [scale=DEFAULT_HEAT_SCALE] - Bucketing method and number of levels
+ * @param {Object} [options={}]
+ * @param {string} [options.sort=THREAD_SORT.HEAT] - One of THREAD_SORT
+ * @param {number} [options.halfLifeDays] - Half-life for SCORING_STRATEGY.HOT and the trending sort
+ * @param {number} [options.now] - Reference time for SCORING_STRATEGY.HOT and the trending sort
+ *   (defaults to the current minute, see resolveDecayTime)
+ * @returns {Object|null} Object containing labels, data, participantCounts, resolvedFlags, trendScores
+ *   (trending sort only) and height, or null if no data
  */
-export function calculateBaseChartData(comments, status, maxItems) {
+export function calculateBaseChartData(
+  comments,
+  status,
+  maxItems,
+  strategy = DEFAULT_SCORING_STRATEGY,
+  scale = DEFAULT_HEAT_SCALE,
+  options = {}
+) {
   if (!comments || comments.length === 0) {
     return null;
   }
 
-  // Rank comments by reply count and take top N items
-  const ranked = rankParentsByReplies(comments, { status });
-  const topComments = ranked.slice(0, maxItems);
+  const { sort = THREAD_SORT.HEAT, ...otherOptions } = options;
+  const strategyOptions = { ...otherOptions, now: resolveDecayTime(otherOptions.now) };
+  const isTrending = sort === THREAD_SORT.TRENDING;
+  // Score every ranked thread (scores depend on the position among all threads), then take top N
+  const ranked = rankThreads(comments, { status, strategy, ...strategyOptions });
+  let scored = calculateScore(ranked, fitHeatScale(scale, getStrategyValueType(strategy)));
+  if (isTrending) {
+    scored = scored
+      .map((node) => ({ ...node, trendScore: getDecayedActivity(node, strategyOptions) }))
+      .sort((a, b) => b.trendScore - a.trendScore);
+  }
+  const scoredComments = scored.slice(0, maxItems);
+  const rankColors = getRankColors(normalizeHeatScale(scale).levels);
 
-  if (topComments.length === 0) {
+  if (scoredComments.length === 0) {
     return null;
   }
 
-  // Calculate scores for color ranking (based on position in sorted array)
-  const scoredComments = calculateScore(topComments);
-
   // Reverse order for display (most replies at top of chart)
   const reversed = [...scoredComments].reverse();
 
   // Prepare chart data: labels (selected text) and values (thread counts)
   const labels = reversed.map((node) => getCommentLabel(node, 20));
   // Each data point includes value and itemStyle for individual bar coloring
+  // Resolved threads are faded to match their desaturated page highlight
   const data = reversed.map((node) => ({
     value: node.threadCount,
     itemStyle: {
-      color: RANK_COLORS[node.score]?.normal || RANK_COLORS[0].normal,
+      color: rankColors[node.score]?.normal || rankColors[0].normal,
+      opacity: isResolvedThread(node) ? RESOLVED_BAR_OPACITY : 1,
     },
   }));
   const participantCounts = reversed.map((node) => node.participantCount || 0);
+  const resolvedFlags = reversed.map((node) => isResolvedThread(node));
+  const trendScores = isTrending ? reversed.map((node) => node.trendScore) : null;
   // Dynamic height based on number of items (32px per item + padding)
-  const dynamicHeight = Math.max(200, topComments.length * 32 + 60);
+  const dynamicHeight = Math.max(200, scoredComments.length * 32 + 60);
 
   return {
     labels,
     data,
     participantCounts,
+    resolvedFlags,
+    trendScores,
     height: dynamicHeight,
     reversedComments: reversed, // Return reversed comments for ref assignment
   };
@@ -89,6 +138,15 @@ export function createTooltipFormatter(baseChartData, mostCommentedUserInfo) {
     const userInfo = reversedUserInfo[item.dataIndex];
     
     let tooltipContent = `Number of comments: <strong>${commentCount}</strong><br/>Number of participants: <strong>${participantCount}</strong>`;
+
+    const trendScore = baseChartData.trendScores?.[item.dataIndex];
+    if (trendScore !== undefined) {
+      tooltipContent += `<br/>${UI_LABELS.TREND_SCORE}: <strong>${trendScore.toFixed(1)}</strong>`;
+    }
+
+    if (baseChartData.resolvedFlags?.[item.dataIndex]) {
+      tooltipContent += '<br/><em>Resolved</em>';
+    }
     
     // Add most commented by user if available
     if (userInfo && userInfo.displayName) {
@@ -0,0 +1,35 @@
+/**
+ * Clipboard Module
+ * Copies text from inside the app's iframe.
+ */
+
+/**
+ * Copies text to the clipboard. Falls back to a hidden textarea and execCommand
+ * when the asynchronous Clipboard API is unavailable or blocked (e.g. by iframe permissions).
+ * 
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>}
+ * @throws {Error} If neither method could copy the text
+ */
+export async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return;
+  } catch {
+    // Fall through to the legacy approach
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+
+  if (!copied) {
+    throw new Error('Copy to clipboard failed');
+  }
+}
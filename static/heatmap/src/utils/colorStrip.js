@@ -1,62 +1,65 @@
 /**
  * Color Scoring Module
- * Maps inline comments to colors based on their reply count ranking.
+ * Maps inline comments to colors based on their ranking under a scoring strategy
+ * (reply count by default, see scoringStrategies.js). SCORING_STRATEGY.HOT colors threads
+ * by recent activity, with older replies fading out after the configured half-life.
+ * Threads can also be colored by intent instead of volume (see intentClassifier.js).
  */
 
-import { rankParentsByReplies } from './commentRanking';
+import { isResolvedThread } from './commentRanking';
+import { rankThreads, getStrategyValueType, DEFAULT_SCORING_STRATEGY } from './scoringStrategies';
+import { bucketValues, fitHeatScale, getRankClass, DEFAULT_HEAT_SCALE } from './heatScale';
+import { classifyThreads, DEFAULT_INTENT_LEXICON } from './intentClassifier';
 import { COMMENT_STATUS } from '../constants';
 
 /**
- * Assigns scores (0-3) to nodes based on their position in the sorted array.
- * Top 25% get score 3 (darkest), bottom 25% get score 0 (lightest).
+ * Assigns heat levels to nodes using a heat scale (see bucketValues).
+ * With the default scale (four quantiles) the top 25% get score 3 (darkest) and the
+ * bottom 25% get score 0 (lightest), based on position in the sorted array.
+ * Value-based methods use each node's heat (from rankThreads), falling back to its threadCount.
  * 
- * @param {Array} nodes - Sorted array of comment nodes
- * @returns {Array} Same nodes with added 'score' property
+ * @param {Array} nodes - Sorted array of comment nodes (hottest first)
+ * @param {HeatScale} [scale=DEFAULT_HEAT_SCALE] - Bucketing method and number of levels
+ * @returns {Array} Same nodes with added 'score' property (0 to levels - 1)
  */
-export function calculateScore(nodes) {
+export function calculateScore(nodes, scale = DEFAULT_HEAT_SCALE) {
   if (!nodes || nodes.length === 0) {
     return [];
   }
 
-  const totalNodes = nodes.length;
-  
-  return nodes.map((node, index) => {
-    let score;
-    const percentile = index / totalNodes;
-    
-    if (percentile < 0.25) {
-      score = 3; // Top 25% - darkest red
-    } else if (percentile < 0.5) {
-      score = 2; // Next 25%
-    } else if (percentile < 0.75) {
-      score = 1; // Next 25%
-    } else {
-      score = 0; // Bottom 25% - lightest red
-    }
-    
-    return {
-      ...node,
-      score
-    };
-  });
+  const scores = bucketValues(nodes.map((node) => node.heat ?? node.threadCount ?? 0), scale);
+  return nodes.map((node, index) => ({
+    ...node,
+    score: scores[index],
+  }));
 }
 
 /**
- * Creates a map of inlineMarkerRef to score based on reply count ranking.
+ * Creates a map of inlineMarkerRef to score based on the threads' ranking under a scoring strategy.
  * 
  * @param {Array} comments - Flat array of comments from API
- * @returns {Map} Map of inlineMarkerRef -> score (0-3)
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Only rank threads matching this status
+ * @param {string} [strategy=DEFAULT_SCORING_STRATEGY] - One of SCORING_STRATEGY
+ * @param {HeatScale} [scale=DEFAULT_HEAT_SCALE] - Bucketing method and number of levels
+ * @param {Object} [strategyOptions={}] - Strategy settings, e.g. { halfLifeDays, now } for SCORING_STRATEGY.HOT
+ * @returns {Map} Map of inlineMarkerRef -> score (0 to levels - 1)
  */
-export function getInlineMarkerRefToScore(comments) {
+export function getInlineMarkerRefToScore(
+  comments,
+  status = COMMENT_STATUS.OPEN,
+  strategy = DEFAULT_SCORING_STRATEGY,
+  scale = DEFAULT_HEAT_SCALE,
+  strategyOptions = {}
+) {
   if (!comments || comments.length === 0) {
     return new Map();
   }
 
-  // Get ranked parent comments (sorted by reply count descending)
-  const rankedParents = rankParentsByReplies(comments, { status: COMMENT_STATUS.OPEN });
+  // Get ranked parent comments (hottest first under the strategy)
+  const rankedParents = rankThreads(comments, { status, strategy, ...strategyOptions });
   
-  // Calculate scores based on ranking
-  const nodesWithScores = calculateScore(rankedParents);
+  // Calculate scores based on ranking, with a bucketing method that fits the strategy's values
+  const nodesWithScores = calculateScore(rankedParents, fitHeatScale(scale, getStrategyValueType(strategy)));
   
   // Build map of inlineMarkerRef to score
   const scoreMap = new Map();
@@ -70,31 +73,80 @@ export function getInlineMarkerRefToScore(comments) {
 }
 
 /**
- * Creates a map of inlineMarkerRef to CSS color class based on reply count ranking.
+ * Creates a map of inlineMarkerRef to CSS color class based on the threads' ranking
+ * under a scoring strategy.
+ * Resolved threads additionally get the 'comment-resolved' class so they can be
+ * styled apart from open discussions when both are shown.
  * 
  * @param {Array} comments - Flat array of comments from API
- * @returns {Map} Map of inlineMarkerRef -> CSS class name
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Only color threads matching this status
+ * @param {string} [strategy=DEFAULT_SCORING_STRATEGY] - One of SCORING_STRATEGY
+ * @param {HeatScale} [scale=DEFAULT_HEAT_SCALE] - Bucketing method and number of levels
+ * @param {Object} [strategyOptions={}] - Strategy settings, e.g. { halfLifeDays, now } for SCORING_STRATEGY.HOT
+ * @returns {Map} Map of inlineMarkerRef -> CSS class name(s)
  */
-export function getInlineMarkerRefToColor(comments) {
+export function getInlineMarkerRefToColor(
+  comments,
+  status = COMMENT_STATUS.OPEN,
+  strategy = DEFAULT_SCORING_STRATEGY,
+  scale = DEFAULT_HEAT_SCALE,
+  strategyOptions = {}
+) {
   if (!comments || comments.length === 0) {
     return new Map();
   }
 
-  const scoreMap = getInlineMarkerRefToScore(comments);
+  const scoreMap = getInlineMarkerRefToScore(comments, status, strategy, scale, strategyOptions);
   const colorMap = new Map();
-  
-  // Map scores to CSS classes
-  const scoreToClass = {
-    0: 'comment-rank-0', // Lightest red
-    1: 'comment-rank-1',
-    2: 'comment-rank-2',
-    3: 'comment-rank-3'  // Darkest red
-  };
+
+  // Marker refs of resolved threads (ranking is memoized, so this is a cache hit)
+  const resolvedRefs = new Set(
+    rankThreads(comments, { status, strategy, ...strategyOptions })
+      .filter(isResolvedThread)
+      .map(node => node.inlineMarkerRef)
+  );
   
   scoreMap.forEach((score, inlineMarkerRef) => {
-    const cssClass = scoreToClass[score] || 'comment-rank-0'; // Default to lightest
-    colorMap.set(inlineMarkerRef, cssClass);
+    // comment-rank-0 (lightest) up to comment-rank-<levels - 1> (darkest)
+    const cssClass = getRankClass(score);
+    colorMap.set(
+      inlineMarkerRef,
+      resolvedRefs.has(inlineMarkerRef) ? `${cssClass} comment-resolved` : cssClass
+    );
   });
   
   return colorMap;
 }
+
+/**
+ * Creates a map of inlineMarkerRef to CSS class based on each thread's intent
+ * ('comment-intent-question', 'comment-intent-blocker', ...), for coloring the page
+ * by what threads are about instead of how busy they are.
+ * Resolved threads additionally get the 'comment-resolved' class.
+ * 
+ * @param {Array} comments - Flat array of comments from API
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Only color threads matching this status
+ * @param {IntentLexicon} [lexicon=DEFAULT_INTENT_LEXICON] - Rules used to classify the threads
+ * @returns {Map} Map of inlineMarkerRef -> CSS class name(s)
+ */
+export function getInlineMarkerRefToIntentClass(
+  comments,
+  status = COMMENT_STATUS.OPEN,
+  lexicon = DEFAULT_INTENT_LEXICON
+) {
+  const colorMap = new Map();
+  if (!comments || comments.length === 0) {
+    return colorMap;
+  }
+
+  classifyThreads(comments, { status, lexicon }).forEach((node) => {
+    if (!node.inlineMarkerRef) return;
+    const cssClass = `comment-intent-${node.intent}`;
+    colorMap.set(
+      node.inlineMarkerRef,
+      isResolvedThread(node) ? `${cssClass} comment-resolved` : cssClass
+    );
+  });
+
+  return colorMap;
+}
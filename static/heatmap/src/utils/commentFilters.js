@@ -0,0 +1,100 @@
+/**
+ * Comment Filters Module
+ * Narrows flat comment arrays (as returned by the API) before they are ranked.
+ * Filters keep reply threads consistent: a reply is only kept if its parent is.
+ */
+
+/**
+ * Gets the time a comment was written, from its version.
+ * 
+ * @param {Object} comment - Comment from the API
+ * @returns {number|null} Milliseconds since epoch, or null if unknown
+ */
+export function getCommentTime(comment) {
+  const createdAt = comment?.version?.createdAt;
+  if (!createdAt) return null;
+  const time = Date.parse(createdAt);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Drops replies whose parent comment is not in the array, so removed roots don't
+ * leave orphaned replies that would be ranked as threads of their own.
+ * 
+ * @param {Array} comments - Flat array of comments
+ * @returns {Array} Comments whose parent (if any) is also present
+ */
+function dropOrphanedReplies(comments) {
+  const ids = new Set(comments.map((comment) => comment.id));
+  let kept = comments;
+  let size;
+  // Repeat until stable: dropping a reply can orphan its own replies
+  do {
+    size = kept.length;
+    kept = kept.filter((comment) => !comment.parentCommentId || ids.has(comment.parentCommentId));
+    ids.clear();
+    kept.forEach((comment) => ids.add(comment.id));
+  } while (kept.length !== size);
+  return kept;
+}
+
+/**
+ * Keeps the comments that already existed at a point in time.
+ * Comments without a timestamp are kept.
+ * 
+ * @param {Array} comments - Flat array of comments from API
+ * @param {number|string|Date|null} asOf - Point in time; null keeps everything
+ * @returns {Array} Comments created at or before asOf (the original array when asOf is null)
+ * 
+ * @example
+ * filterCommentsAsOf(comments, '2024-05-01T12:00:00.000Z');
+ */
+export function filterCommentsAsOf(comments, asOf) {
+  if (asOf === null || asOf === undefined || !comments?.length) {
+    return comments || [];
+  }
+
+  const limit = new Date(asOf).getTime();
+  return dropOrphanedReplies(
+    comments.filter((comment) => {
+      const time = getCommentTime(comment);
+      return time === null || time <= limit;
+    })
+  );
+}
+
+/**
+ * Keeps the comments written within a time window, plus the thread roots (and any
+ * intermediate parents) of kept replies so each reply stays attached to its thread.
+ * Comments without a timestamp are dropped, since they can't be placed in the window.
+ * 
+ * @param {Array} comments - Flat array of comments from API
+ * @param {{start: number, end: number}|null} timeWindow - Window in milliseconds since epoch
+ *   (end exclusive); null keeps everything
+ * @returns {Array} Comments in the window with their parents (the original array when timeWindow is null)
+ * 
+ * @example
+ * filterCommentsByTimeWindow(comments, { start: Date.parse('2024-05-06'), end: Date.parse('2024-05-13') });
+ */
+export function filterCommentsByTimeWindow(comments, timeWindow) {
+  if (!timeWindow || !comments?.length) {
+    return comments || [];
+  }
+
+  const byId = new Map(comments.map((comment) => [comment.id, comment]));
+  const keptIds = new Set();
+
+  comments.forEach((comment) => {
+    const time = getCommentTime(comment);
+    if (time === null || time < timeWindow.start || time >= timeWindow.end) return;
+
+    // Keep the comment and walk up to its root
+    let current = comment;
+    while (current && !keptIds.has(current.id)) {
+      keptIds.add(current.id);
+      current = current.parentCommentId ? byId.get(current.parentCommentId) : null;
+    }
+  });
+
+  return comments.filter((comment) => keptIds.has(comment.id));
+}
@@ -45,9 +45,11 @@ export function findCommentsForMarker(markerRef, allComments) {
  * Uses the user cache service to avoid redundant API calls and deduplicate requests.
  * 
  * @param {Array<Object>} relatedComments - Array of comment objects to enrich
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels outstanding user lookups
  * @returns {Promise<Array<Object>>} Array of enriched comments with user property
  */
-export async function enrichCommentsWithUserInfo(relatedComments) {
+export async function enrichCommentsWithUserInfo(relatedComments, { signal } = {}) {
   if (!relatedComments || relatedComments.length === 0) {
     return [];
   }
@@ -56,7 +58,7 @@ export async function enrichCommentsWithUserInfo(relatedComments) {
   const authorIds = relatedComments.map(c => c.version?.authorId || c.authorId);
   
   // Use cache service to fetch user info efficiently (deduplicates and caches)
-  const users = await userCache.getMultipleUserInfo(authorIds);
+  const users = await userCache.getMultipleUserInfo(authorIds, { signal });
   
   // Combine comments with user info
   return relatedComments.map((comment, index) => ({
@@ -1,4 +1,4 @@
-import { COMMENT_STATUS } from '../constants';
+import { COMMENT_STATUS, RESOLUTION_STATUSES } from '../constants';
 import { memoize, createCommentCacheKey } from './memoize';
 
 /**
@@ -9,12 +9,56 @@ import { memoize, createCommentCacheKey } from './memoize';
  * @property {string|null} inlineMarkerRef
  * @property {string|null} inlineOriginalSelection
  * @property {string|null} authorId
+ * @property {string|null} createdAt
  * @property {CommentNode[]} children
  * 
  * @typedef {Object} CommentTree
  * @property {CommentNode[]} roots
  */
 
+/**
+ * Checks whether a comment's resolution status falls under a status filter.
+ * COMMENT_STATUS.OPEN also covers reopened threads; COMMENT_STATUS.ALL matches everything.
+ * 
+ * @param {string|null} resolutionStatus - Resolution status from the API (e.g. 'open', 'resolved')
+ * @param {string} status - One of COMMENT_STATUS
+ * @returns {boolean} True if the comment should be included
+ * 
+ * @example
+ * matchesStatus('reopened', COMMENT_STATUS.OPEN); // Returns true
+ * matchesStatus('resolved', COMMENT_STATUS.OPEN); // Returns false
+ */
+export function matchesStatus(resolutionStatus, status) {
+  if (status === COMMENT_STATUS.ALL) return true;
+  return (RESOLUTION_STATUSES[status] || []).includes(resolutionStatus);
+}
+
+/**
+ * Checks whether a thread root has been resolved.
+ * 
+ * @param {CommentNode} node - Root comment node
+ * @returns {boolean} True if the thread is resolved
+ */
+export function isResolvedThread(node) {
+  return matchesStatus(node?.resolutionStatus, COMMENT_STATUS.RESOLVED);
+}
+
+/**
+ * Checks whether a comment may have replies of its own, so leaf replies can skip the
+ * children lookup. Only an explicit count or complete list of children in the payload
+ * rules replies out (v1-style `children.comment` expansions or a `children` collection);
+ * payloads without that information may have replies.
+ * 
+ * @param {Object} comment - Comment from the API
+ * @returns {boolean} False only when the payload shows the comment has no children
+ */
+export function mayHaveReplies(comment) {
+  const children = comment?.children?.comment ?? comment?.children;
+  if (typeof children?.size === 'number') return children.size > 0;
+  if (Array.isArray(children?.results) && !children._links?.next) return children.results.length > 0;
+  return true;
+}
+
 /**
  * Internal implementation of buildCommentTree (not memoized).
  * This is memoized by the exported function below when transformNode is null.
@@ -38,6 +82,7 @@ function buildCommentTreeImpl(comments, transformNode = null) {
       inlineMarkerRef: comment.properties?.inlineMarkerRef || null,
       inlineOriginalSelection: comment.properties?.inlineOriginalSelection || null,
       authorId: comment.version?.authorId || null,
+      createdAt: comment.version?.createdAt || null,
       children: [],
     };
 
@@ -68,7 +113,7 @@ function buildCommentTreeImpl(comments, transformNode = null) {
  * Builds a tree structure from a flat array of comments.
  * 
  * By default, only includes essential fields: id, body, resolutionStatus, inlineMarkerRef, 
- * inlineOriginalSelection, authorId, and children. Use transformNode to include additional fields.
+ * inlineOriginalSelection, authorId, createdAt, and children. Use transformNode to include additional fields.
  * 
  * Note: This function is memoized when transformNode is null (most common case).
  * When transformNode is provided, memoization is disabled as the transform function
@@ -222,7 +267,7 @@ function rankParentsByRepliesImpl(comments, options = {}) {
   const { status = COMMENT_STATUS.OPEN } = options;
   const { roots } = buildCommentTree(comments);
 
-  const filtered = roots.filter(r => r.resolutionStatus === status);
+  const filtered = roots.filter(r => matchesStatus(r.resolutionStatus, status));
 
   return filtered
     .map(root => {
@@ -248,7 +293,7 @@ function rankParentsByRepliesImpl(comments, options = {}) {
  * 
  * @param {Array<Object>} comments - Flat array from API
  * @param {Object} [options={}]
- * @param {string} [options.status=COMMENT_STATUS.OPEN] - Filter by status
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Filter by status (OPEN, RESOLVED or ALL)
  * @returns {Array<CommentNode & { threadCount: number, participantCount: number }>} Root comments sorted by threadCount (descending)
  * 
  * @example
@@ -265,6 +310,68 @@ export const rankParentsByReplies = memoize(
   (comments, options) => createCommentCacheKey(comments, options)
 );
 
+/**
+ * Checks whether a thread is still waiting for an answer: nobody other than its author
+ * has replied, at any depth. Threads without replies and threads where the author only
+ * followed up on their own comment are both unanswered.
+ * 
+ * @param {CommentNode} node - Root comment node with children array and authorId
+ * @returns {boolean} True when no reply comes from another author
+ * 
+ * @example
+ * isUnansweredThread({ id: '1', authorId: 'user1', children: [
+ *   { id: '2', authorId: 'user1', children: [] }
+ * ]}); // Returns true
+ */
+export function isUnansweredThread(node) {
+  const isAnswer = (reply) =>
+    reply.authorId !== node.authorId || (reply.children || []).some(isAnswer);
+  return !(node.children || []).some(isAnswer);
+}
+
+/**
+ * Internal implementation of findUnansweredThreads (not memoized).
+ * This is memoized by the exported function below.
+ */
+function findUnansweredThreadsImpl(comments, options = {}) {
+  if (!comments?.length) return [];
+
+  const { status = COMMENT_STATUS.OPEN } = options;
+  const { roots } = buildCommentTree(comments);
+  const createdTime = (node) => (node.createdAt ? Date.parse(node.createdAt) || Infinity : Infinity);
+
+  return roots
+    .filter((root) => matchesStatus(root.resolutionStatus, status) && isUnansweredThread(root))
+    .map((root) => ({ ...root, replyCount: countReplies(root) }))
+    .sort((a, b) => createdTime(a) - createdTime(b));
+}
+
+/**
+ * Returns the root comments nobody but their author has replied to (see isUnansweredThread),
+ * oldest first so the threads waiting longest come first. Filters by status before checking.
+ * 
+ * This function is memoized like rankParentsByReplies.
+ * 
+ * @param {Array<Object>} comments - Flat array from API
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Filter by status (OPEN, RESOLVED or ALL)
+ * @returns {Array<CommentNode & { replyCount: number }>} Unanswered root comments, oldest first
+ *   (comments without a creation time last)
+ * 
+ * @example
+ * findUnansweredThreads([
+ *   { id: '1', resolutionStatus: 'open', version: { authorId: 'user1' } },
+ *   { id: '2', parentCommentId: '1', resolutionStatus: 'open', version: { authorId: 'user1' } },
+ *   { id: '3', resolutionStatus: 'open', version: { authorId: 'user2' } },
+ *   { id: '4', parentCommentId: '3', resolutionStatus: 'open', version: { authorId: 'user1' } }
+ * ]);
+ * // Returns: [{ id: '1', replyCount: 1, ... }]
+ */
+export const findUnansweredThreads = memoize(
+  findUnansweredThreadsImpl,
+  (comments, options) => createCommentCacheKey(comments, options)
+);
+
 /**
  * Extracts preview text from comment body in atlas_doc_format.
  * Recursively traverses document structure to extract all text content.
@@ -335,6 +442,80 @@ export function getCommentBody(node, maxLength = 50) {
   return extractPreview(node.body, maxLength);
 }
 
+// ADF block nodes that start on a new line when converted to plain text
+const ADF_BLOCK_TYPES = new Set([
+  'paragraph', 'heading', 'blockquote', 'codeBlock', 'panel', 'rule',
+  'bulletList', 'orderedList', 'listItem', 'table', 'tableRow', 'mediaSingle',
+]);
+
+/**
+ * Converts a comment body in atlas_doc_format to plain text without truncation.
+ * Blocks (paragraphs, headings, list items, ...) go on separate lines, list items are
+ * prefixed with '- ', and mentions, emojis and links keep their visible text.
+ * 
+ * @param {CommentNode} node - Node with body property
+ * @returns {string} Full comment text, or '' if the body is empty or invalid
+ * 
+ * @example
+ * getCommentText({ body: { atlas_doc_format: { value: JSON.stringify({ content: [
+ *   { type: 'paragraph', content: [{ type: 'text', text: 'First' }] },
+ *   { type: 'paragraph', content: [{ type: 'text', text: 'Second' }] }
+ * ] }) } } }); // Returns 'First\nSecond'
+ */
+export function getCommentText(node) {
+  const atlasDoc = node?.body?.atlas_doc_format?.value;
+  if (!atlasDoc) return '';
+
+  let parsed;
+  try {
+    parsed = typeof atlasDoc === 'string' ? JSON.parse(atlasDoc) : atlasDoc;
+  } catch {
+    return '';
+  }
+
+  const lines = [''];
+  // List marker written in front of the next text on the line
+  let pendingPrefix = '';
+  const write = (text) => {
+    if (!text) return;
+    lines[lines.length - 1] += pendingPrefix + text;
+    pendingPrefix = '';
+  };
+  const newLine = () => {
+    if (lines[lines.length - 1].trim()) lines.push('');
+  };
+
+  const extract = (adfNode) => {
+    if (!adfNode) return;
+    switch (adfNode.type) {
+      case 'text':
+        write(adfNode.text || '');
+        return;
+      case 'hardBreak':
+        lines.push('');
+        return;
+      case 'mention':
+      case 'emoji':
+        write(adfNode.attrs?.text || adfNode.attrs?.shortName || '');
+        return;
+      case 'inlineCard':
+        write(adfNode.attrs?.url || '');
+        return;
+      default:
+        break;
+    }
+
+    const isBlock = ADF_BLOCK_TYPES.has(adfNode.type);
+    if (isBlock) newLine();
+    if (adfNode.type === 'listItem') pendingPrefix = '- ';
+    adfNode.content?.forEach(extract);
+    if (isBlock) newLine();
+  };
+
+  extract(parsed);
+  return lines.map((line) => line.trimEnd()).filter((line) => line.trim()).join('\n');
+}
+
 /**
  * @typedef {Object} UserCommentCount
  * @property {string} authorId - User's account ID
@@ -353,23 +534,20 @@ function groupCommentsByUserImpl(comments, options = {}) {
 
   // Filter comments by status (for replies, check parent's status via the tree)
   const { roots } = buildCommentTree(comments);
-  const openRootIds = new Set(
-    roots.filter(r => r.resolutionStatus === status).map(r => r.id)
-  );
-
-  // Collect all comment IDs that belong to open threads
-  const openCommentIds = new Set();
-  const collectOpenIds = (node) => {
-    openCommentIds.add(node.id);
-    node.children?.forEach(collectOpenIds);
+
+  // Collect all comment IDs that belong to threads matching the status filter
+  const matchingCommentIds = new Set();
+  const collectMatchingIds = (node) => {
+    matchingCommentIds.add(node.id);
+    node.children?.forEach(collectMatchingIds);
   };
-  roots.filter(r => openRootIds.has(r.id)).forEach(collectOpenIds);
+  roots.filter(r => matchesStatus(r.resolutionStatus, status)).forEach(collectMatchingIds);
 
-  // Group by author, only counting comments in open threads
+  // Group by author, only counting comments in matching threads
   const userCounts = new Map();
 
   for (const comment of comments) {
-    if (!openCommentIds.has(comment.id)) continue;
+    if (!matchingCommentIds.has(comment.id)) continue;
 
     const authorId = comment.version?.authorId;
     if (!authorId) continue;
@@ -392,7 +570,7 @@ function groupCommentsByUserImpl(comments, options = {}) {
  * 
  * @param {Array<Object>} comments - Flat array of comments from API
  * @param {Object} [options={}]
- * @param {string} [options.status=COMMENT_STATUS.OPEN] - Filter by resolution status
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Filter by resolution status (OPEN, RESOLVED or ALL)
  * @returns {Array<UserCommentCount>} Array sorted by commentCount (descending)
  * 
  * @example
@@ -410,3 +588,34 @@ export const groupCommentsByUser = memoize(
   groupCommentsByUserImpl,
   (comments, options) => createCommentCacheKey(comments, options)
 );
+
+/**
+ * Merges several user comment count lists into one, summing counts per author.
+ * Useful for combining inline and footer comment statistics.
+ * 
+ * @param {...Array<UserCommentCount>} lists - Lists produced by groupCommentsByUser
+ * @returns {Array<UserCommentCount>} Combined array sorted by commentCount (descending)
+ * 
+ * @example
+ * mergeUserCounts(
+ *   [{ authorId: 'user1', commentCount: 2, displayName: null }],
+ *   [{ authorId: 'user1', commentCount: 1, displayName: null }, { authorId: 'user2', commentCount: 1, displayName: null }]
+ * );
+ * // Returns: [
+ * //   { authorId: 'user1', commentCount: 3, displayName: null },
+ * //   { authorId: 'user2', commentCount: 1, displayName: null }
+ * // ]
+ */
+export function mergeUserCounts(...lists) {
+  const merged = new Map();
+
+  for (const list of lists) {
+    for (const item of list || []) {
+      const current = merged.get(item.authorId) || { ...item, commentCount: 0 };
+      current.commentCount += item.commentCount;
+      merged.set(item.authorId, current);
+    }
+  }
+
+  return Array.from(merged.values()).sort((a, b) => b.commentCount - a.commentCount);
+}
@@ -0,0 +1,76 @@
+/**
+ * Maps over items with an async function while capping how many calls run at once.
+ * Results are returned in the same order as the input, like Promise.all.
+ * 
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (values below 1 are treated as 1)
+ * @param {Function} fn - Async function receiving (item, index)
+ * @returns {Promise<Array>} Results in input order
+ * @throws {Error} The first error raised by fn; remaining queued items are not started
+ * 
+ * @example
+ * const users = await mapWithConcurrency(accountIds, 4, (id) => getUserInfo(id));
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  if (!items || items.length === 0) {
+    return [];
+  }
+
+  const results = new Array(items.length);
+  const workerCount = Math.min(Math.max(1, limit), items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Creates a limiter shared by any number of callers: at most `limit` of the functions
+ * passed to it run at once, the rest wait in a first-in, first-out queue.
+ * Unlike mapWithConcurrency, one limiter caps a whole recursive walk (e.g. nested
+ * replies), however deep it goes. Only pass it leaf work such as single requests:
+ * a limited function that waits on other limited functions can deadlock the queue.
+ * 
+ * @param {number} limit - Maximum number of concurrent calls (values below 1 are treated as 1)
+ * @returns {Function} run(fn): calls fn when a slot is free and resolves with its result
+ * 
+ * @example
+ * const limit = createLimiter(5);
+ * const replies = await Promise.all(ids.map((id) => limit(() => getReplies(id))));
+ */
+export function createLimiter(limit) {
+  const maxActive = Math.max(1, limit);
+  const queue = [];
+  let active = 0;
+
+  const startNext = () => {
+    if (active >= maxActive || queue.length === 0) return;
+    const { fn, resolve, reject } = queue.shift();
+    active += 1;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        startNext();
+      });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    startNext();
+  });
+}
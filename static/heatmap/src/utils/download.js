@@ -0,0 +1,25 @@
+/**
+ * Download Module
+ * Saves generated content as a file from the browser.
+ */
+
+/**
+ * Downloads content as a file through a temporary object URL.
+ * 
+ * @param {string|Blob} content - File content
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} [mimeType='application/octet-stream'] - MIME type (ignored for Blob content)
+ */
+export function downloadFile(content, fileName, mimeType = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,132 @@
+/**
+ * Export Module
+ * Shapes thread rankings and author counts into flat rows and serializes them as CSV or JSON.
+ */
+
+import { rankParentsByReplies, findMostCommentedUser } from './commentRanking';
+import { COMMENT_STATUS, EXPORT_FORMAT } from '../constants';
+
+// Column order of exported thread rows
+export const THREAD_EXPORT_COLUMNS = [
+  'selectionText',
+  'threadCount',
+  'participantCount',
+  'mostActiveAuthorId',
+  'mostActiveAuthor',
+  'createdAt',
+  'resolutionStatus',
+  'markerRef',
+];
+
+// Column order of exported author rows
+export const AUTHOR_EXPORT_COLUMNS = ['authorId', 'displayName', 'commentCount'];
+
+// MIME type of each export format
+const MIME_TYPES = {
+  [EXPORT_FORMAT.CSV]: 'text/csv;charset=utf-8',
+  [EXPORT_FORMAT.JSON]: 'application/json;charset=utf-8',
+};
+
+/**
+ * Builds one export row per thread, ranked like rankParentsByReplies.
+ * The selection text is exported in full rather than truncated as in the charts.
+ * 
+ * @param {Array<Object>} comments - Flat array of inline comments
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Filter by status (OPEN, RESOLVED or ALL)
+ * @param {Object<string, string>} [options.displayNames={}] - Display name by account ID
+ * @returns {Array<Object>} Rows keyed by THREAD_EXPORT_COLUMNS
+ */
+export function buildThreadExportRows(comments, { status = COMMENT_STATUS.OPEN, displayNames = {} } = {}) {
+  return rankParentsByReplies(comments, { status }).map((thread) => {
+    const mostActiveAuthorId = findMostCommentedUser(thread);
+    return {
+      selectionText: thread.inlineOriginalSelection?.trim() || '',
+      threadCount: thread.threadCount,
+      participantCount: thread.participantCount,
+      mostActiveAuthorId,
+      mostActiveAuthor: (mostActiveAuthorId && displayNames[mostActiveAuthorId]) || null,
+      createdAt: thread.createdAt,
+      resolutionStatus: thread.resolutionStatus,
+      markerRef: thread.inlineMarkerRef,
+    };
+  });
+}
+
+/**
+ * Builds one export row per author from groupCommentsByUser / mergeUserCounts output.
+ * 
+ * @param {Array<UserCommentCount>} userCounts - Author counts sorted by commentCount
+ * @param {Object<string, string>} [displayNames={}] - Display name by account ID
+ * @returns {Array<Object>} Rows keyed by AUTHOR_EXPORT_COLUMNS
+ */
+export function buildAuthorExportRows(userCounts, displayNames = {}) {
+  return userCounts.map(({ authorId, commentCount }) => ({
+    authorId,
+    displayName: displayNames[authorId] || null,
+    commentCount,
+  }));
+}
+
+/**
+ * Formats a single CSV cell: quotes values containing separators, quotes or line breaks,
+ * and prefixes text starting with =, +, -, @, a tab or a carriage return so spreadsheets
+ * don't evaluate it as a formula.
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows as CSV (RFC 4180, CRLF line endings) with a header line.
+ * 
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<string>} columns - Keys to export, in order; also used as the header
+ * @returns {string} CSV text
+ * 
+ * @example
+ * toCsv([{ name: 'a, b', count: 2 }], ['name', 'count']); // Returns 'name,count\r\n"a, b",2'
+ */
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(toCsvCell).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Serializes rows in an export format.
+ * 
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<string>} columns - Keys to export, in order
+ * @param {string} format - One of EXPORT_FORMAT
+ * @returns {{content: string, mimeType: string}} File content and its MIME type
+ */
+export function serializeRows(rows, columns, format) {
+  // The byte order mark makes Excel read the CSV as UTF-8
+  const content = format === EXPORT_FORMAT.CSV
+    ? `\uFEFF${toCsv(rows, columns)}`
+    : JSON.stringify(rows.map((row) => Object.fromEntries(columns.map((column) => [column, row[column]]))), null, 2);
+  return { content, mimeType: MIME_TYPES[format] };
+}
+
+/**
+ * Builds a file name for an export from the page title, dataset and status.
+ * 
+ * @param {string} title - Page title
+ * @param {string} dataset - Exported dataset (e.g. 'threads')
+ * @param {string} status - One of COMMENT_STATUS
+ * @param {string} format - One of EXPORT_FORMAT (used as the extension)
+ * @returns {string} File name such as 'design-review-threads-open.csv'
+ */
+export function getExportFileName(title, dataset, status, format) {
+  const slug = (title || 'page')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'page';
+  return `${slug}-${dataset}-${status}.${format}`;
+}
@@ -0,0 +1,293 @@
+/**
+ * Heat Scale Module
+ * Splits ranked thread values into heat levels and generates the matching
+ * colors and `comment-rank-N` CSS classes for any number of levels.
+ */
+
+import { BUCKETING_METHOD, HEAT_LEVELS, HEAT_VALUE_TYPE } from '../constants';
+
+/**
+ * @typedef {Object} HeatScale
+ * @property {string} method - One of BUCKETING_METHOD
+ * @property {number} levels - Number of heat levels (HEAT_LEVELS.MIN to HEAT_LEVELS.MAX)
+ * @property {Array<number>} [thresholds] - Ascending lower bounds of levels 1…N-1
+ *   (BUCKETING_METHOD.THRESHOLDS only; defaults to getDefaultThresholds)
+ */
+
+/** @type {HeatScale} */
+export const DEFAULT_HEAT_SCALE = {
+  method: BUCKETING_METHOD.QUANTILE,
+  levels: HEAT_LEVELS.DEFAULT,
+};
+
+// Bucketing methods that fit each kind of heat value. Thresholds are absolute counts and the
+// log scale assumes count-like values, so both would paint timestamps or 0-1 scores a single level
+const BUCKETING_METHODS_BY_VALUE_TYPE = {
+  [HEAT_VALUE_TYPE.COUNT]: Object.values(BUCKETING_METHOD),
+  [HEAT_VALUE_TYPE.TIME]: [BUCKETING_METHOD.QUANTILE, BUCKETING_METHOD.NATURAL_BREAKS],
+  [HEAT_VALUE_TYPE.SCORE]: [BUCKETING_METHOD.QUANTILE, BUCKETING_METHOD.NATURAL_BREAKS],
+};
+
+// Prefix of the CSS class marking a highlight's heat level
+export const RANK_CLASS_PREFIX = 'comment-rank-';
+
+// Color stops from the coolest to the hottest level; levels are interpolated between them
+const COLOR_STOPS = {
+  normal: ['#f5ec8e', '#f7b457', '#FE7440', '#FE2923'], // yellow → orange → red
+  emphasis: ['#f9e85a', '#f4a030', '#FE5A1A', '#E01A1A'],
+};
+
+// ID of the <style> element holding the generated rank classes
+const RANK_STYLE_ELEMENT_ID = 'conf-rank-styles';
+
+/**
+ * Fills in defaults and clamps the level count of a heat scale.
+ *
+ * @param {Partial<HeatScale>} [scale] - Possibly incomplete scale
+ * @returns {HeatScale} Complete scale
+ */
+export function normalizeHeatScale(scale) {
+  const levels = Math.round(Number(scale?.levels) || HEAT_LEVELS.DEFAULT);
+  return {
+    ...scale,
+    method: Object.values(BUCKETING_METHOD).includes(scale?.method) ? scale.method : DEFAULT_HEAT_SCALE.method,
+    levels: Math.min(HEAT_LEVELS.MAX, Math.max(HEAT_LEVELS.MIN, levels)),
+  };
+}
+
+/**
+ * Lists the bucketing methods that fit a kind of heat value.
+ *
+ * @param {string} [valueType=HEAT_VALUE_TYPE.COUNT] - One of HEAT_VALUE_TYPE (see getStrategyValueType)
+ * @returns {Array<string>} BUCKETING_METHOD values
+ */
+export function getBucketingMethods(valueType = HEAT_VALUE_TYPE.COUNT) {
+  return BUCKETING_METHODS_BY_VALUE_TYPE[valueType] || BUCKETING_METHODS_BY_VALUE_TYPE[HEAT_VALUE_TYPE.COUNT];
+}
+
+/**
+ * Normalizes a heat scale for values of a given kind: a method that doesn't fit them
+ * (see getBucketingMethods) falls back to the default method. Other settings, such as
+ * custom thresholds, are kept for when the values fit again.
+ *
+ * @param {Partial<HeatScale>} [scale] - Scale picked by the user
+ * @param {string} [valueType=HEAT_VALUE_TYPE.COUNT] - One of HEAT_VALUE_TYPE
+ * @returns {HeatScale} Complete scale using a fitting method
+ */
+export function fitHeatScale(scale, valueType = HEAT_VALUE_TYPE.COUNT) {
+  const normalized = normalizeHeatScale(scale);
+  return getBucketingMethods(valueType).includes(normalized.method)
+    ? normalized
+    : { ...normalized, method: DEFAULT_HEAT_SCALE.method };
+}
+
+/**
+ * Checks whether a scale buckets exactly like DEFAULT_HEAT_SCALE (and so like the
+ * resolver's precomputed marker classes).
+ *
+ * @param {Partial<HeatScale>} [scale] - Scale to check
+ * @returns {boolean} True for the default method and level count
+ */
+export function isDefaultHeatScale(scale) {
+  const { method, levels } = normalizeHeatScale(scale);
+  return method === DEFAULT_HEAT_SCALE.method && levels === DEFAULT_HEAT_SCALE.levels;
+}
+
+/**
+ * Parses comma- or space-separated thresholds typed by the user.
+ *
+ * @param {string} text - e.g. '2, 4, 8'
+ * @returns {Array<number>} Positive numbers, ascending and without duplicates
+ */
+export function parseThresholds(text) {
+  const values = String(text || '')
+    .split(/[\s,;]+/)
+    .map(Number)
+    .filter((value) => Number.isFinite(value) && value > 0);
+  return Array.from(new Set(values)).sort((a, b) => a - b);
+}
+
+/**
+ * Default thresholds for absolute bucketing: each level needs twice the value of the
+ * previous one (2, 4, 8, …), which suits reply and participant counts.
+ *
+ * @param {number} levels - Number of heat levels
+ * @returns {Array<number>} levels - 1 ascending thresholds
+ */
+export function getDefaultThresholds(levels) {
+  return Array.from({ length: levels - 1 }, (_, index) => 2 ** (index + 1));
+}
+
+/**
+ * Computes Jenks natural breaks: the lower bound of each of `classCount` classes that
+ * minimize the variance within classes.
+ *
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} classCount - Number of classes (at most the number of distinct values)
+ * @returns {Array<number>} Ascending lower bounds, one per class
+ */
+function getNaturalBreaks(sorted, classCount) {
+  const n = sorted.length;
+  const lowerClassLimits = Array.from({ length: n + 1 }, () => new Array(classCount + 1).fill(0));
+  const variances = Array.from({ length: n + 1 }, () => new Array(classCount + 1).fill(Infinity));
+  for (let j = 1; j <= classCount; j++) {
+    lowerClassLimits[1][j] = 1;
+    variances[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+    for (let m = 1; m <= l; m++) {
+      const lowerIndex = l - m + 1;
+      const value = sorted[lowerIndex - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+      if (lowerIndex > 1) {
+        for (let j = 2; j <= classCount; j++) {
+          const candidate = variance + variances[lowerIndex - 1][j - 1];
+          if (variances[l][j] >= candidate) {
+            lowerClassLimits[l][j] = lowerIndex;
+            variances[l][j] = candidate;
+          }
+        }
+      }
+    }
+    lowerClassLimits[l][1] = 1;
+    variances[l][1] = variance;
+  }
+
+  const breaks = new Array(classCount);
+  let upper = n;
+  for (let j = classCount; j >= 1; j--) {
+    const lowerIndex = lowerClassLimits[upper][j];
+    breaks[j - 1] = sorted[lowerIndex - 1];
+    upper = lowerIndex - 1;
+  }
+  return breaks;
+}
+
+/**
+ * Assigns a heat level to each value.
+ *
+ * - QUANTILE: by position only; the first 1/N of the values get the top level, and so on
+ *   (values are expected hottest first)
+ * - THRESHOLDS: by absolute value; level k needs at least thresholds[k - 1] (counts only)
+ * - NATURAL_BREAKS: Jenks natural breaks, so clusters of similar values share a level and
+ *   outliers stand apart
+ * - LOG: by position on a logarithmic scale between the smallest and largest value (counts only)
+ *
+ * Callers bucketing strategy values should pass the scale through fitHeatScale first.
+ *
+ * @param {Array<number>} values - One value per thread (higher is hotter)
+ * @param {Partial<HeatScale>} [scale=DEFAULT_HEAT_SCALE] - Bucketing method and number of levels
+ * @returns {Array<number>} Levels from 0 (coolest) to levels - 1 (hottest), aligned with values
+ *
+ * @example
+ * bucketValues([40, 1], { method: BUCKETING_METHOD.QUANTILE, levels: 4 }); // [3, 1]
+ * bucketValues([40, 1], { method: BUCKETING_METHOD.LOG, levels: 4 }); // [3, 0]
+ */
+export function bucketValues(values, scale = DEFAULT_HEAT_SCALE) {
+  const { method, levels, thresholds } = normalizeHeatScale(scale);
+  const top = levels - 1;
+  if (values.length === 0) return [];
+
+  switch (method) {
+    case BUCKETING_METHOD.THRESHOLDS: {
+      const bounds = thresholds?.length ? thresholds : getDefaultThresholds(levels);
+      return values.map((value) => Math.min(top, bounds.filter((bound) => value >= bound).length));
+    }
+    case BUCKETING_METHOD.LOG: {
+      const min = Math.min(...values);
+      const range = Math.max(...values) - min;
+      if (range === 0) return values.map(() => top);
+      return values.map((value) => Math.min(top, Math.floor((Math.log1p(value - min) / Math.log1p(range)) * levels)));
+    }
+    case BUCKETING_METHOD.NATURAL_BREAKS: {
+      const min = Math.min(...values);
+      const range = Math.max(...values) - min;
+      if (range === 0) return values.map(() => top);
+      // Scale to 0-1 first: breaks are unaffected and large values (timestamps) keep their precision
+      const scaled = values.map((value) => (value - min) / range);
+      const sorted = [...scaled].sort((a, b) => a - b);
+      const classCount = Math.min(levels, new Set(sorted).size);
+      const breaks = getNaturalBreaks(sorted, classCount);
+      return scaled.map((value) => {
+        const classIndex = breaks.filter((bound) => value >= bound).length - 1;
+        return Math.round((classIndex * top) / (classCount - 1));
+      });
+    }
+    case BUCKETING_METHOD.QUANTILE:
+    default:
+      return values.map((_, index) => top - Math.floor((index / values.length) * levels));
+  }
+}
+
+/**
+ * Gets the CSS class of a heat level.
+ *
+ * @param {number} level - Heat level
+ * @returns {string} e.g. 'comment-rank-3'
+ */
+export function getRankClass(level) {
+  return `${RANK_CLASS_PREFIX}${level}`;
+}
+
+/**
+ * Interpolates a color between the stops at a position from 0 (first stop) to 1 (last stop).
+ */
+function interpolateColor(stops, position) {
+  const scaled = position * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(scaled));
+  const ratio = scaled - index;
+  if (ratio === 0) return stops[index];
+  if (ratio === 1) return stops[index + 1];
+
+  const parse = (hex) => [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+  const from = parse(stops[index]);
+  const to = parse(stops[index + 1]);
+  return `#${from
+    .map((channel, i) => Math.round(channel + (to[i] - channel) * ratio).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * Generates the color of every heat level, from coolest (yellow) to hottest (red).
+ * With HEAT_LEVELS.DEFAULT levels, the colors are exactly the color stops.
+ *
+ * @param {number} [levels=HEAT_LEVELS.DEFAULT] - Number of heat levels
+ * @returns {Array<{normal: string, emphasis: string}>} Colors indexed by level
+ */
+export function getRankColors(levels = HEAT_LEVELS.DEFAULT) {
+  return Array.from({ length: levels }, (_, level) => {
+    const position = levels === 1 ? 1 : level / (levels - 1);
+    return {
+      normal: interpolateColor(COLOR_STOPS.normal, position),
+      emphasis: interpolateColor(COLOR_STOPS.emphasis, position),
+    };
+  });
+}
+
+/**
+ * Writes the `comment-rank-N` highlight and block border rules for a number of levels
+ * into a <style> element in the document head (created on first use).
+ *
+ * @param {number} [levels=HEAT_LEVELS.DEFAULT] - Number of heat levels
+ */
+export function applyRankStyles(levels = HEAT_LEVELS.DEFAULT) {
+  let styleElement = document.getElementById(RANK_STYLE_ELEMENT_ID);
+  if (!styleElement) {
+    styleElement = document.createElement('style');
+    styleElement.id = RANK_STYLE_ELEMENT_ID;
+    document.head.appendChild(styleElement);
+  }
+
+  styleElement.textContent = getRankColors(levels)
+    .map(({ normal }, level) => [
+      `.conf-inline-comment.${getRankClass(level)} { background-color: ${normal}; }`,
+      `.conf-has-${getRankClass(level)} { border-left-color: ${normal}; }`,
+    ].join('\n'))
+    .join('\n');
+}
@@ -1,5 +1,5 @@
 import DOMPurify from "dompurify";
-import { API_ENDPOINTS } from "../constants";
+import { API_ENDPOINTS, COMMENT_STATUS } from "../constants";
 import { getInlineMarkerRefToColor } from "./colorStrip";
 
 /**
@@ -18,14 +18,24 @@ export function sanitizeHTML(html) {
   });
 }
 
+/**
+ * Escapes text for use inside HTML, e.g. page titles in chart tooltips rendered as HTML.
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Text with &, <, >, " and ' replaced by entities
+ */
+export function escapeHTML(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
 /**
  * Converts Confluence inline comment markers to HTML spans for styling and interaction.
- * Only wraps markers that have open comments (exist in colorMap).
- * Resolved/closed comment markers are unwrapped, returning just the content.
+ * Only wraps markers whose threads match the active status filter (exist in colorMap).
+ * Other comment markers are unwrapped, returning just the content.
  *
  * @param {string} html - HTML string containing Confluence comment markers
- * @param {Map} colorMap - Map of inlineMarkerRef to color class (only open comments)
- * @returns {string} HTML with open comment markers converted to spans
+ * @param {Map} colorMap - Map of inlineMarkerRef to color class (only threads matching the status filter)
+ * @returns {string} HTML with matching comment markers converted to spans
  */
 export function wrapInlineCommentMarkers(html, colorMap = new Map()) {
   if (!html) return "";
@@ -37,13 +47,13 @@ export function wrapInlineCommentMarkers(html, colorMap = new Map()) {
       const refMatch = attributes.match(/ac:ref="([^"]+)"/);
       const inlineMarkerRef = refMatch ? refMatch[1] : null;
 
-      // Only wrap if this marker has an open comment (exists in colorMap)
+      // Only wrap if this marker's thread matches the status filter (exists in colorMap)
       if (inlineMarkerRef && colorMap.has(inlineMarkerRef)) {
         const colorClass = colorMap.get(inlineMarkerRef);
         return `<span class="conf-inline-comment ${colorClass}" data-marker-ref="${inlineMarkerRef}">${content}</span>`;
       }
 
-      // Resolved/closed comments: return content without wrapper
+      // Filtered-out comments: return content without wrapper
       return content;
     }
   );
@@ -94,13 +104,23 @@ export function convertImages(html, pageId, baseUrl) {
  * @param {string} pageId - Page ID for attachment URLs
  * @param {string} baseUrl - Base URL of Confluence instance
  * @param {Array} comments - Array of inline comments for color ranking (optional)
+ * @param {string} [status=COMMENT_STATUS.OPEN] - Which threads to highlight (OPEN, RESOLVED or ALL)
+ * @param {Map|null} [precomputedColorMap=null] - inlineMarkerRef -> CSS class map already computed
+ *   by the resolver; skips ranking the comments in the browser when provided
  * @returns {string} Processed HTML ready for rendering
  */
-export function processedHTML(rawHtml, pageId, baseUrl, comments = []) {
+export function processedHTML(
+  rawHtml,
+  pageId,
+  baseUrl,
+  comments = [],
+  status = COMMENT_STATUS.OPEN,
+  precomputedColorMap = null
+) {
   const sanitized = sanitizeHTML(rawHtml);
-  // Generate color map from comments if provided
-  const colorMap =
-    comments.length > 0 ? getInlineMarkerRefToColor(comments) : new Map();
+  // Use the resolver's color map when available, otherwise rank the comments here
+  const colorMap = precomputedColorMap
+    || (comments.length > 0 ? getInlineMarkerRefToColor(comments, status) : new Map());
   const withCommentSpans = wrapInlineCommentMarkers(sanitized, colorMap);
   const withImages = convertImages(withCommentSpans, pageId, baseUrl);
   return withImages;
@@ -108,7 +128,7 @@ export function processedHTML(rawHtml, pageId, baseUrl, comments = []) {
 
 /**
  * Adds visual indicator class to block elements containing inline comments.
- * Applies matching color rank class for border styling.
+ * Applies matching color rank or intent class (and resolved and unanswered markers) for border styling.
  * Call after DOM render (e.g., in useEffect).
  * Scans DOM for comment spans and marks their parent block elements with 'conf-has-comment' class.
  * Should be called after HTML is rendered to ensure elements exist in DOM.
@@ -125,14 +145,22 @@ export function markCommentedBlocks() {
     if (blockParent && !blockParent.classList.contains("conf-has-comment")) {
       blockParent.classList.add("conf-has-comment");
 
-      // Extract color rank from span's classes
+      // Extract color rank (or intent) from span's classes
       const classes = span.classList;
       for (let i = 0; i < classes.length; i++) {
-        if (classes[i].startsWith("comment-rank-")) {
+        if (classes[i].startsWith("comment-rank-") || classes[i].startsWith("comment-intent-")) {
           blockParent.classList.add(`conf-has-${classes[i]}`);
           break;
         }
       }
+
+      if (classes.contains("comment-resolved")) {
+        blockParent.classList.add("conf-has-comment-resolved");
+      }
+
+      if (classes.contains("comment-unanswered")) {
+        blockParent.classList.add("conf-has-comment-unanswered");
+      }
     }
   });
 }
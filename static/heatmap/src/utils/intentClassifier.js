@@ -0,0 +1,228 @@
+/**
+ * Intent Classifier Module
+ * Tags comment threads as blockers, questions, suggestions, nits or praise using a local
+ * keyword and pattern lexicon over the opening comment's text. Nothing leaves the browser,
+ * and teams can extend or replace the lexicon through INTENT_LEXICON_CONFIG (see APP_INTENT_LEXICON).
+ */
+
+import { getCommentBody, rankParentsByReplies } from './commentRanking';
+import { memoize, createCommentCacheKey } from './memoize';
+import { COMMENT_INTENT, COMMENT_STATUS, INTENT_LEXICON_CONFIG } from '../constants';
+
+/**
+ * @typedef {Object} IntentRule
+ * @property {Array<string>} [keywords] - Words or phrases, matched case-insensitively as whole words
+ * @property {Array<string>} [patterns] - Regular expression sources, matched case-insensitively
+ */
+
+/**
+ * @typedef {Object<string, IntentRule>} IntentLexicon
+ * Rules keyed by COMMENT_INTENT value. Plain strings only, so a lexicon can be stored
+ * as JSON and used in cache keys.
+ */
+
+// Intents from strongest to weakest; breaks ties when a comment matches several intents equally
+export const INTENT_PRIORITY = [
+  COMMENT_INTENT.BLOCKER,
+  COMMENT_INTENT.NIT,
+  COMMENT_INTENT.SUGGESTION,
+  COMMENT_INTENT.QUESTION,
+  COMMENT_INTENT.PRAISE,
+];
+
+/** @type {IntentLexicon} */
+export const DEFAULT_INTENT_LEXICON = {
+  [COMMENT_INTENT.BLOCKER]: {
+    keywords: [
+      'blocker', 'blocking', 'showstopper', 'show stopper', 'must fix', 'must be fixed',
+      'needs to be fixed', 'has to change', 'do not merge', "don't merge", 'cannot ship',
+      "can't ship", 'cannot publish', "can't publish", 'not acceptable', 'unacceptable',
+      'critical', 'broken', 'incorrect', 'security issue', 'legal issue', 'compliance',
+    ],
+    patterns: ['^\\s*\\[?(blocker|blocking|must)\\b'],
+  },
+  [COMMENT_INTENT.NIT]: {
+    keywords: [
+      'nit', 'nits', 'nitpick', 'nit-pick', 'typo', 'typos', 'minor', 'tiny', 'small thing',
+      'formatting', 'wording', 'spelling', 'grammar', 'punctuation', 'whitespace', 'indentation',
+    ],
+    patterns: ['^\\s*\\[?nit\\b', '\\bcapitali[sz]'],
+  },
+  [COMMENT_INTENT.SUGGESTION]: {
+    keywords: [
+      'suggest', 'suggestion', 'consider', 'maybe', 'perhaps', 'how about', 'what about',
+      'could we', 'should we', 'we could', 'we should', 'instead', 'alternatively', 'prefer',
+      'recommend', 'would be better', 'might be better', "i'd", 'i would', 'why not',
+    ],
+    patterns: ['^\\s*\\[?suggestion\\b'],
+  },
+  [COMMENT_INTENT.QUESTION]: {
+    keywords: [
+      'why', 'how come', 'what does', 'what is', "what's", 'which', 'is this', 'is there',
+      'does this', 'do we', 'can you explain', 'could you explain', 'not sure i understand',
+      'wondering', 'question', 'unclear',
+    ],
+    patterns: ['\\?'],
+  },
+  [COMMENT_INTENT.PRAISE]: {
+    keywords: [
+      'great', 'nice', 'love', 'awesome', 'excellent', 'well done', 'good job', 'great job',
+      'thanks', 'thank you', 'lgtm', 'looks good', 'well written', 'helpful', 'kudos', '+1',
+    ],
+    patterns: ['👍|🎉|💯|🙌'],
+  },
+};
+
+/**
+ * Builds a lexicon from the default one plus overrides. Keywords and patterns of an
+ * overridden intent are added to the defaults unless `replace` is set.
+ *
+ * @param {Partial<IntentLexicon>} [overrides={}] - Extra rules per intent
+ * @param {Object} [options={}]
+ * @param {boolean} [options.replace=false] - Replace the default rules of overridden intents
+ * @returns {IntentLexicon} New lexicon
+ *
+ * @example
+ * createIntentLexicon({ [COMMENT_INTENT.BLOCKER]: { keywords: ['legal review'] } });
+ */
+export function createIntentLexicon(overrides = {}, { replace = false } = {}) {
+  const lexicon = { ...DEFAULT_INTENT_LEXICON };
+  Object.entries(overrides).forEach(([intent, rule]) => {
+    if (!INTENT_PRIORITY.includes(intent)) {
+      throw new Error(`Unknown comment intent "${intent}"`);
+    }
+    const base = replace ? {} : lexicon[intent] || {};
+    lexicon[intent] = {
+      keywords: [...(base.keywords || []), ...(rule?.keywords || [])],
+      patterns: [...(base.patterns || []), ...(rule?.patterns || [])],
+    };
+  });
+  return lexicon;
+}
+
+/**
+ * The lexicon the app classifies with: the default one plus INTENT_LEXICON_CONFIG.
+ * Pass it to every classifier call so popup tags, the intent chart and highlights agree.
+ * @type {IntentLexicon}
+ */
+export const APP_INTENT_LEXICON = createIntentLexicon(
+  INTENT_LEXICON_CONFIG.OVERRIDES,
+  { replace: INTENT_LEXICON_CONFIG.REPLACE }
+);
+
+// Compiled matchers per lexicon object, so each lexicon is compiled once
+const compiledLexicons = new WeakMap();
+
+/**
+ * Escapes a keyword for use inside a regular expression.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a lexicon's keywords and patterns into regular expressions, grouped by intent.
+ * Keywords match as whole words (letters, digits and underscores count as word characters).
+ */
+function compileLexicon(lexicon) {
+  let compiled = compiledLexicons.get(lexicon);
+  if (compiled) return compiled;
+
+  compiled = INTENT_PRIORITY.map((intent) => {
+    const { keywords = [], patterns = [] } = lexicon[intent] || {};
+    return {
+      intent,
+      matchers: [
+        ...keywords.map((keyword) => new RegExp(
+          `(?:^|[^\\p{L}\\p{N}_])${escapeRegExp(keyword.toLowerCase())}(?=$|[^\\p{L}\\p{N}_])`,
+          'u'
+        )),
+        ...patterns.map((pattern) => new RegExp(pattern, 'iu')),
+      ],
+    };
+  });
+  compiledLexicons.set(lexicon, compiled);
+  return compiled;
+}
+
+/**
+ * Classifies a piece of comment text. Each intent scores one point per matching keyword
+ * or pattern; the highest score wins and ties go to the stronger intent (INTENT_PRIORITY).
+ *
+ * @param {string} text - Comment text
+ * @param {IntentLexicon} [lexicon=DEFAULT_INTENT_LEXICON] - Rules to match against
+ * @returns {string} One of COMMENT_INTENT (OTHER when nothing matches)
+ *
+ * @example
+ * classifyText('Nit: typo in the heading'); // 'nit'
+ * classifyText('Why do we need this step?'); // 'question'
+ */
+export function classifyText(text, lexicon = DEFAULT_INTENT_LEXICON) {
+  if (!text) return COMMENT_INTENT.OTHER;
+  const normalized = text.toLowerCase().replace(/[‘’]/g, "'");
+
+  let best = COMMENT_INTENT.OTHER;
+  let bestScore = 0;
+  compileLexicon(lexicon).forEach(({ intent, matchers }) => {
+    const score = matchers.filter((matcher) => matcher.test(normalized)).length;
+    // Strict comparison keeps the earlier (stronger) intent on ties
+    if (score > bestScore) {
+      best = intent;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Classifies a thread by its opening comment, whose body text comes from extractPreview
+ * (via getCommentBody, without truncation).
+ *
+ * @param {CommentNode} node - Root comment node
+ * @param {IntentLexicon} [lexicon=DEFAULT_INTENT_LEXICON] - Rules to match against
+ * @returns {string} One of COMMENT_INTENT
+ */
+export function classifyThread(node, lexicon = DEFAULT_INTENT_LEXICON) {
+  return classifyText(getCommentBody(node, Infinity), lexicon);
+}
+
+/**
+ * Internal implementation of classifyThreads (not memoized).
+ * This is memoized by the exported function below.
+ */
+function classifyThreadsImpl(comments, options = {}) {
+  const { status = COMMENT_STATUS.OPEN, lexicon = DEFAULT_INTENT_LEXICON } = options;
+  return rankParentsByReplies(comments, { status })
+    .map((thread) => ({ ...thread, intent: classifyThread(thread, lexicon) }));
+}
+
+/**
+ * Tags every thread matching a status filter with its intent.
+ *
+ * @param {Array<Object>} comments - Flat array from API
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Filter by status (OPEN, RESOLVED or ALL)
+ * @param {IntentLexicon} [options.lexicon=DEFAULT_INTENT_LEXICON] - Rules to match against
+ * @returns {Array<CommentNode & { threadCount: number, participantCount: number, intent: string }>}
+ *   Root comments sorted by threadCount (descending), each with its intent
+ */
+export const classifyThreads = memoize(
+  classifyThreadsImpl,
+  (comments, options) => createCommentCacheKey(comments, options)
+);
+
+/**
+ * Counts threads per intent, for the intent breakdown chart.
+ *
+ * @param {Array<Object>} comments - Flat array from API
+ * @param {Object} [options={}] - See classifyThreads
+ * @returns {Array<{intent: string, count: number}>} One entry per intent in COMMENT_INTENT order,
+ *   including intents without threads
+ */
+export function countThreadsByIntent(comments, options = {}) {
+  const counts = new Map(Object.values(COMMENT_INTENT).map((intent) => [intent, 0]));
+  classifyThreads(comments, options).forEach(({ intent }) => {
+    counts.set(intent, counts.get(intent) + 1);
+  });
+  return Array.from(counts, ([intent, count]) => ({ intent, count }));
+}
@@ -0,0 +1,75 @@
+/**
+ * Leaderboard Module
+ * Aggregates comment activity per author across several pages.
+ */
+
+import { buildCommentTree, matchesStatus } from './commentRanking';
+import { COMMENT_STATUS } from '../constants';
+
+/**
+ * @typedef {Object} ReviewerStats
+ * @property {string} authorId
+ * @property {number} commentCount - newThreads + replies
+ * @property {number} newThreads - Threads the author started
+ * @property {number} replies - Replies the author wrote (at any depth)
+ * @property {number} pagesTouched - Distinct pages the author commented on
+ */
+
+/**
+ * Builds per-author comment statistics across a set of pages.
+ * Only threads whose root matches the status filter are counted.
+ * 
+ * @param {Array<{pageId: string, comments: Array}>} pageComments - Flat comment arrays per page
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.ALL] - Only count threads matching this status
+ * @returns {Array<ReviewerStats>} Authors sorted by commentCount (descending), then pagesTouched
+ * 
+ * @example
+ * buildReviewerLeaderboard([
+ *   { pageId: '1', comments: [
+ *     { id: '10', version: { authorId: 'user1' } },
+ *     { id: '11', parentCommentId: '10', version: { authorId: 'user2' } }
+ *   ] },
+ *   { pageId: '2', comments: [{ id: '20', version: { authorId: 'user2' } }] }
+ * ]);
+ * // Returns: [
+ * //   { authorId: 'user2', commentCount: 2, newThreads: 1, replies: 1, pagesTouched: 2 },
+ * //   { authorId: 'user1', commentCount: 1, newThreads: 1, replies: 0, pagesTouched: 1 }
+ * // ]
+ */
+export function buildReviewerLeaderboard(pageComments, { status = COMMENT_STATUS.ALL } = {}) {
+  const stats = new Map(); // authorId -> counts and the set of pages touched
+
+  const record = (authorId, pageId, kind) => {
+    if (!authorId) return;
+    const current = stats.get(authorId) || { authorId, newThreads: 0, replies: 0, pages: new Set() };
+    current[kind] += 1;
+    current.pages.add(pageId);
+    stats.set(authorId, current);
+  };
+  const recordReplies = (node, pageId) => {
+    node.children.forEach((child) => {
+      record(child.authorId, pageId, 'replies');
+      recordReplies(child, pageId);
+    });
+  };
+
+  for (const { pageId, comments } of pageComments) {
+    buildCommentTree(comments).roots
+      .filter((root) => matchesStatus(root.resolutionStatus, status))
+      .forEach((root) => {
+        record(root.authorId, pageId, 'newThreads');
+        recordReplies(root, pageId);
+      });
+  }
+
+  return Array.from(stats.values())
+    .map(({ authorId, newThreads, replies, pages }) => ({
+      authorId,
+      commentCount: newThreads + replies,
+      newThreads,
+      replies,
+      pagesTouched: pages.size,
+    }))
+    .sort((a, b) => b.commentCount - a.commentCount || b.pagesTouched - a.pagesTouched);
+}
@@ -1,9 +1,13 @@
 /**
  * Simple memoization utility for pure functions.
  * Caches results based on serialized arguments to prevent redundant computations.
+ * The cache keeps the most recently used results only, so callers that see many
+ * distinct inputs (e.g. scrubbing through time) don't grow it without bound.
  * 
  * @param {Function} fn - Pure function to memoize
  * @param {Function} [keyGenerator] - Optional function to generate cache key from arguments
+ * @param {Object} [options={}]
+ * @param {number} [options.maxSize=100] - Maximum number of cached results (least recently used are evicted)
  * @returns {Function} Memoized version of the function
  * 
  * @example
@@ -15,7 +19,8 @@
  *   `${comments.length}-${status}`
  * );
  */
-export function memoize(fn, keyGenerator = null) {
+export function memoize(fn, keyGenerator = null, { maxSize = 100 } = {}) {
+  // Map iteration follows insertion order, so the first key is the least recently used
   const cache = new Map();
 
   return function (...args) {
@@ -28,21 +33,28 @@ export function memoize(fn, keyGenerator = null) {
       key = JSON.stringify(args);
     }
 
-    // Return cached result if available
+    // Return cached result if available, marking it as most recently used
     if (cache.has(key)) {
-      return cache.get(key);
+      const cached = cache.get(key);
+      cache.delete(key);
+      cache.set(key, cached);
+      return cached;
     }
 
-    // Compute and cache result
+    // Compute and cache result, evicting the least recently used entry when full
     const result = fn.apply(this, args);
     cache.set(key, result);
+    if (cache.size > maxSize) {
+      cache.delete(cache.keys().next().value);
+    }
     return result;
   };
 }
 
 /**
  * Creates a cache key from comments array and options object.
- * Uses comment IDs and status to create a stable key.
+ * Uses every comment ID (with its resolution status) and the options to create a stable key,
+ * so filtered subsets of the same comments and re-resolved threads never share a key.
  * 
  * @param {Array} comments - Array of comment objects
  * @param {Object} options - Options object (e.g., { status: 'open' })
@@ -53,9 +65,12 @@ export function createCommentCacheKey(comments, options = {}) {
     return `empty-${JSON.stringify(options)}`;
   }
   
-  // Create stable key from comment IDs and options
-  const commentIds = comments.map(c => c.id).sort().join(',');
+  // Create stable key from comment IDs, resolution statuses and options
+  const commentIds = comments
+    .map(c => `${c.id}:${c.resolutionStatus || ''}`)
+    .sort()
+    .join(',');
   const optionsKey = JSON.stringify(options);
-  return `${commentIds.length}-${commentIds.slice(0, 50)}-${optionsKey}`;
+  return `${comments.length}-${commentIds}-${optionsKey}`;
 }
 
@@ -1,20 +1,17 @@
 import { router, view } from "@forge/bridge";
 import { CONFLUENCE_MODULES } from "../constants";
 
+// routePrefix of the confluence:fullPage module in manifest.yml
+const HEATMAP_ROUTE = "heatmap";
+
 /**
- * Navigates from byline item extension context to full page analytics view.
+ * Builds the base path of this app's full page routes for the current environment.
  * Uses Forge context to get both app ID and environment ID.
  *
- * @param {Object} context - Forge view context object
- * @param {string} [context.extension.type] - Extension type
- * @param {string} [context.extension.content.id] - Page ID from extension content
+ * @returns {Promise<string>} Path such as "/forge-apps/a/<appId>/e/<envId>/r"
+ * @throws {Error} If the app or environment ID can't be determined
  */
-export async function navigateToFullPage(context) {
-  if (context.extension?.type !== CONFLUENCE_MODULES.CONTENT_BYLINE_ITEM)
-    return;
-
-  const pageId = context.extension?.content?.id;
-
+async function getAppRouteBase() {
   // Get environment ID directly from context (keep as-is) and app ID from localId
   const fullContext = await view.getContext();
   const envId = fullContext.environmentId;
@@ -42,6 +39,43 @@ export async function navigateToFullPage(context) {
     );
   }
 
-  const params = pageId ? `?pageId=${pageId}` : "";
-  router.open(`/forge-apps/a/${appId}/e/${envId}/r/heatmap${params}`);
+  return `/forge-apps/a/${appId}/e/${envId}/r`;
+}
+
+/**
+ * Builds the query string the page heatmap route reads its context from.
+ */
+function buildPageParams(pageId, spaceKey) {
+  const params = new URLSearchParams();
+  if (pageId) params.set("pageId", pageId);
+  if (spaceKey) params.set("spaceKey", spaceKey);
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+/**
+ * Navigates from byline item extension context to full page analytics view.
+ *
+ * @param {Object} context - Forge view context object
+ * @param {string} [context.extension.type] - Extension type
+ * @param {string} [context.extension.content.id] - Page ID from extension content
+ */
+export async function navigateToFullPage(context) {
+  if (context.extension?.type !== CONFLUENCE_MODULES.CONTENT_BYLINE_ITEM)
+    return;
+
+  const pageId = context.extension?.content?.id;
+  const routeBase = await getAppRouteBase();
+  router.open(`${routeBase}/${HEATMAP_ROUTE}${buildPageParams(pageId)}`);
+}
+
+/**
+ * Opens the full page heatmap of a page in the current tab (e.g. from the space dashboard).
+ *
+ * @param {string} pageId - Confluence page ID
+ * @param {string} [spaceKey] - Key of the page's space
+ */
+export async function navigateToPageHeatmap(pageId, spaceKey) {
+  const routeBase = await getAppRouteBase();
+  router.navigate(`${routeBase}/${HEATMAP_ROUTE}${buildPageParams(pageId, spaceKey)}`);
 }
@@ -1,52 +1,183 @@
-import { getPageInfo, getInlineComments } from "../api/confluence";
-import { processedHTML } from "./htmlProcessing";
+import { getPageInfo, getInlineComments, getFooterComments } from "../api/confluence";
+import { ApiError } from "../api/apiClient";
+import { getHeatmapData } from "../api/resolver";
+import { isAbortError } from "./abort";
 import { getPageContext } from "./contextUtils";
-import { ERROR_MESSAGES } from "../constants";
+import { COMMENT_STATUS, ERROR_MESSAGES } from "../constants";
 
 /**
- * Loads and processes a Confluence page from the API.
- * Extracts page context, fetches page data and inline comments, validates content,
- * and converts storage format to HTML with color-coded comment markers.
+ * Checks that page data carries the fields the heatmap needs.
+ * @throws {Error} If page data, its ID or its storage body is missing
+ */
+function validatePage(page) {
+  if (!page) {
+    throw new Error(ERROR_MESSAGES.MISSING_PAGE_DATA_FROM_API);
+  }
+
+  if (!page.body?.storage?.value) {
+    throw new Error(ERROR_MESSAGES.INVALID_PAGE_CONTENT);
+  }
+
+  if (!page.id) {
+    throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID_FROM_API);
+  }
+}
+
+/**
+ * Fetches heatmap data through the resolver, returning null when the resolver is
+ * unavailable or fails (e.g. it hits the invocation time limit on a very busy page)
+ * so the caller can fall back to fetching from the browser.
+ */
+async function tryResolver(pageId, { status, signal }) {
+  try {
+    return await getHeatmapData(pageId, { status, signal });
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.warn('Resolver unavailable, loading heatmap data in the browser:', error);
+    return null;
+  }
+}
+
+/**
+ * Loads a Confluence page with its inline and footer comments. Footer comments are
+ * optional: if they fail to load, the page and inline comments are still returned,
+ * with footerError set instead of failing the whole load.
+ * Extracts page context and asks the resolver for the page, comments and precomputed
+ * heatmap aggregates in one round-trip; the resolver may answer from a cached snapshot
+ * (cached: true), which callers should revalidate with revalidatePage. If the resolver fails, page data and comments
+ * are fetched from the browser instead (reporting progress as they arrive) and
+ * heatmap is null, leaving ranking to the caller.
+ * Converting the storage format to HTML is left to the caller, so it only runs once
+ * every page of comments has been fetched and can be redone when the status filter changes.
  *
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Resolution status filter for fetched threads
+ * @param {Function} [options.onProgress] - Called with the number of comments (inline and footer) loaded so far
+ * @param {AbortSignal} [options.signal] - Cancels all outstanding requests for this load
  * @returns {Promise<Object>} Object containing:
  *   - page: Raw page data from API
- *   - html: Processed HTML ready for rendering
  *   - comments: Array of inline comments
+ *   - footerComments: Array of footer (page-level) comments
+ *   - footerError: Why footer comments could not be loaded, or null
+ *   - heatmap: Resolver aggregates keyed by status, or null when loaded from the browser
+ *   - status: Status filter the loaded comments cover (a snapshot may cover more than requested)
+ *   - signature: Resolver signature of the comment set, or null when loaded from the browser
+ *   - cached: True if served from a snapshot that may be out of date
  *   - contextInfo: {pageId, spaceId, spaceKey}
  *   - baseUrl: Confluence instance base URL
- * @throws {Error} If page data is missing, invalid, or loading fails
+ * @throws {ApiError} If a Confluence request fails (status, retryable and endpoint are preserved)
+ * @throws {Error} If page data is missing, invalid, or loading fails otherwise (AbortError when cancelled)
  */
-export async function loadPage() {
+export async function loadPage({ status = COMMENT_STATUS.OPEN, onProgress, signal } = {}) {
   try {
     const { pageId, spaceId, spaceKey, baseUrl } = await getPageContext();
-    const page = await getPageInfo(pageId);
+    const contextInfo = { pageId, spaceId, spaceKey };
 
-    if (!page) {
-      throw new Error(ERROR_MESSAGES.MISSING_PAGE_DATA_FROM_API);
+    const resolved = await tryResolver(pageId, { status, signal });
+    if (resolved) {
+      validatePage(resolved.page);
+      return {
+        page: resolved.page,
+        comments: resolved.comments || [],
+        footerComments: resolved.footerComments || [],
+        footerError: resolved.footerError || null,
+        heatmap: resolved.heatmap || null,
+        status: resolved.status || status,
+        signature: resolved.signature || null,
+        cached: Boolean(resolved.cached),
+        contextInfo,
+        baseUrl,
+      };
     }
 
-    if (!page.body?.storage?.value) {
-      throw new Error(ERROR_MESSAGES.INVALID_PAGE_CONTENT);
-    }
+    const page = await getPageInfo(pageId, { signal });
+    validatePage(page);
 
-    if (!page.id) {
-      throw new Error(ERROR_MESSAGES.MISSING_PAGE_ID_FROM_API);
-    }
+    // Fetch the complete comment sets before ranking so colors reflect every thread
+    const counts = { inline: 0, footer: 0 };
+    const reportProgress = (source) => (count) => {
+      counts[source] = count;
+      if (onProgress) onProgress(counts.inline + counts.footer);
+    };
 
-    // Fetch comments for color ranking
-    const comments = await getInlineComments(pageId) || [];
-    const html = processedHTML(page.body.storage.value, page.id, baseUrl, comments);
+    let footerError = null;
+    const [comments, footerComments] = await Promise.all([
+      getInlineComments(pageId, { status, onProgress: reportProgress('inline'), signal }),
+      getFooterComments(pageId, { onProgress: reportProgress('footer'), signal }).catch((error) => {
+        if (isAbortError(error)) throw error;
+        console.warn('Failed to load footer comments:', error);
+        footerError = `${ERROR_MESSAGES.FAILED_TO_LOAD_FOOTER_COMMENTS}: ${error.message || error}`;
+        return [];
+      }),
+    ]);
 
     return {
       page,
-      html,
-      comments,
-      contextInfo: { pageId, spaceId, spaceKey },
+      comments: comments || [],
+      footerComments: footerComments || [],
+      footerError,
+      heatmap: null,
+      status,
+      signature: null,
+      cached: false,
+      contextInfo,
       baseUrl,
     };
   } catch (error) {
+    // Cancellation is not a failure; let callers recognise and ignore it
+    if (isAbortError(error)) {
+      throw error;
+    }
+    // Keep API failures typed so the UI can tell rate limits and outages from hard errors
+    if (error instanceof ApiError) {
+      throw new ApiError(`${ERROR_MESSAGES.FAILED_TO_LOAD_PAGE}: ${error.message}`, error);
+    }
     throw new Error(
       `${ERROR_MESSAGES.FAILED_TO_LOAD_PAGE}: ${error.message || error}`
     );
   }
 }
+
+/**
+ * Loads every inline comment thread of a page (any resolution status), preferring the
+ * resolver so aggregates for each status come precomputed.
+ *
+ * @param {string} pageId - Confluence page ID
+ * @param {Object} [options={}]
+ * @param {AbortSignal} [options.signal] - Cancels the load
+ * @returns {Promise<Object>} { comments, heatmap } where heatmap is null when loaded from the browser
+ */
+export async function loadAllInlineComments(pageId, { signal } = {}) {
+  const resolved = await tryResolver(pageId, { status: COMMENT_STATUS.ALL, signal });
+  if (resolved) {
+    return { comments: resolved.comments || [], heatmap: resolved.heatmap || null };
+  }
+
+  const comments = await getInlineComments(pageId, { status: COMMENT_STATUS.ALL, signal });
+  return { comments: comments || [], heatmap: null };
+}
+
+/**
+ * Re-fetches a page and all of its comments through the resolver, bypassing the
+ * stored snapshot (which the resolver refreshes if the comment set has changed).
+ *
+ * @param {string} pageId - Confluence page ID
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Status filter the snapshot was loaded with
+ * @param {AbortSignal} [options.signal] - Cancels the revalidation
+ * @returns {Promise<Object>} { page, comments, footerComments, footerError, heatmap, signature }
+ */
+export async function revalidatePage(pageId, { status = COMMENT_STATUS.OPEN, signal } = {}) {
+  const fresh = await getHeatmapData(pageId, { status, revalidate: true, signal });
+  validatePage(fresh.page);
+  return {
+    page: fresh.page,
+    comments: fresh.comments || [],
+    footerComments: fresh.footerComments || [],
+    footerError: fresh.footerError || null,
+    heatmap: fresh.heatmap || null,
+    signature: fresh.signature || null,
+  };
+}
@@ -0,0 +1,115 @@
+import { USER_PROFILE_STORAGE } from '../constants';
+
+/**
+ * Persistent Profile Store
+ * Saves the user profile fields the UI needs (display name, avatar path) to
+ * localStorage so repeat visits can render names before any API call returns.
+ * 
+ * Data is stored under a single key as { version, entries }, where entries maps
+ * account ID -> { displayName, avatarPath, storedAt }. Data written with a
+ * different schema version, or entries older than the TTL, are ignored.
+ * Storage may be unavailable inside sandboxed iframes, so every access fails soft.
+ */
+
+/**
+ * Returns localStorage if it can be used, otherwise null.
+ */
+function getStorage() {
+  try {
+    return window.localStorage || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reduces an API user object to the fields worth persisting.
+ * 
+ * @param {Object} user - User object from the Confluence API
+ * @returns {Object} Stored profile fields
+ */
+function toStoredProfile(user) {
+  return {
+    displayName: user.displayName || null,
+    avatarPath: user.profilePicture?.path || null,
+  };
+}
+
+/**
+ * Rebuilds a user object from stored fields, in the same shape the API returns,
+ * so existing helpers like getAvatarUrl keep working.
+ * 
+ * @param {string} accountId - User account ID
+ * @param {Object} entry - Stored profile entry
+ * @returns {Object} User object
+ */
+function fromStoredProfile(accountId, entry) {
+  return {
+    accountId,
+    displayName: entry.displayName,
+    profilePicture: entry.avatarPath ? { path: entry.avatarPath } : undefined,
+  };
+}
+
+/**
+ * Loads persisted profiles that are still within the TTL.
+ * 
+ * @param {number} [now=Date.now()] - Current time, for TTL checks
+ * @returns {Map<string, {user: Object, storedAt: number}>} Account ID -> profile and save time
+ */
+export function loadStoredProfiles(now = Date.now()) {
+  const profiles = new Map();
+  const storage = getStorage();
+  if (!storage) return profiles;
+
+  try {
+    const raw = storage.getItem(USER_PROFILE_STORAGE.KEY);
+    if (!raw) return profiles;
+
+    const data = JSON.parse(raw);
+    if (data?.version !== USER_PROFILE_STORAGE.SCHEMA_VERSION || !data.entries) {
+      return profiles;
+    }
+
+    Object.entries(data.entries).forEach(([accountId, entry]) => {
+      if (entry && now - entry.storedAt < USER_PROFILE_STORAGE.TTL_MS) {
+        profiles.set(accountId, {
+          user: fromStoredProfile(accountId, entry),
+          storedAt: entry.storedAt,
+        });
+      }
+    });
+  } catch {
+    // Corrupt or unreadable data is treated as an empty store
+  }
+
+  return profiles;
+}
+
+/**
+ * Persists profiles, keeping only the most recently stored entries.
+ * 
+ * @param {Map<string, {user: Object, storedAt: number}>} profiles - Account ID -> profile and save time
+ */
+export function saveStoredProfiles(profiles) {
+  const storage = getStorage();
+  if (!storage) return;
+
+  const entries = {};
+  Array.from(profiles.entries())
+    .filter(([, { user }]) => user)
+    .sort(([, a], [, b]) => b.storedAt - a.storedAt)
+    .slice(0, USER_PROFILE_STORAGE.MAX_ENTRIES)
+    .forEach(([accountId, { user, storedAt }]) => {
+      entries[accountId] = { ...toStoredProfile(user), storedAt };
+    });
+
+  try {
+    storage.setItem(
+      USER_PROFILE_STORAGE.KEY,
+      JSON.stringify({ version: USER_PROFILE_STORAGE.SCHEMA_VERSION, entries })
+    );
+  } catch {
+    // Quota exceeded or storage blocked: persistence is best-effort
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Review Report Module
+ * Builds a Markdown summary of a page's review: the hottest threads in full,
+ * per-author stats and the threads nobody has replied to yet.
+ */
+
+import {
+  rankParentsByReplies,
+  groupCommentsByUser,
+  mergeUserCounts,
+  getCommentText,
+  findUnansweredThreads,
+} from './commentRanking';
+import { formatCommentDate } from './commentPopup';
+import { COMMENT_STATUS, UI_LABELS } from '../constants';
+
+// Number of threads written out in full under "Top threads"
+const DEFAULT_MAX_THREADS = 10;
+
+/**
+ * Escapes characters that Markdown would otherwise treat as formatting, including
+ * list markers and setext underlines at the start of a line ("- item", "1. item", "===").
+ */
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/([\\`*_{}[\]<>()#+!|~])/g, '\\$1')
+    .replace(/^(\s*)([-=])/gm, '$1\\$2')
+    .replace(/^(\s*\d+)\./gm, '$1\\.');
+}
+
+/**
+ * Formats a thread's quoted selection as a Markdown blockquote.
+ */
+function quoteSelection(selection) {
+  const text = selection?.trim();
+  if (!text) return `> ${UI_LABELS.REPORT_NO_SELECTION}`;
+  return text.split(/\r?\n/).map((line) => `> ${escapeMarkdown(line)}`).join('\n');
+}
+
+/**
+ * Formats "**Author** (date)" for a comment.
+ */
+function formatByline(node, displayNames) {
+  const author = escapeMarkdown(displayNames[node.authorId] || 'Unknown User');
+  return node.createdAt ? `**${author}** (${formatCommentDate(node.createdAt)})` : `**${author}**`;
+}
+
+/**
+ * Writes a comment and its replies as a nested Markdown list.
+ */
+function formatComment(node, displayNames, depth = 0) {
+  const indent = '  '.repeat(depth);
+  // Two trailing spaces keep multi-line comments on separate lines (Markdown hard break)
+  const text = (getCommentText(node) || UI_LABELS.EMPTY_COMMENT)
+    .split('\n')
+    .map(escapeMarkdown)
+    .join(`  \n${indent}  `);
+  const lines = [`${indent}- ${formatByline(node, displayNames)}: ${text}`];
+  node.children.forEach((child) => {
+    lines.push(formatComment(child, displayNames, depth + 1));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Collects the account IDs of every comment author, for looking up display names.
+ *
+ * @param {...Array<Object>} commentLists - Flat comment arrays
+ * @returns {Array<string>} Unique account IDs
+ */
+export function collectAuthorIds(...commentLists) {
+  const authorIds = new Set();
+  commentLists.forEach((comments) => {
+    (comments || []).forEach((comment) => {
+      if (comment.version?.authorId) authorIds.add(comment.version.authorId);
+    });
+  });
+  return Array.from(authorIds);
+}
+
+/**
+ * Builds a Markdown review report for a page.
+ *
+ * Sections:
+ * - Top threads: the threads with the most comments, each with its quoted selection and
+ *   every comment in full (author, date, text), replies nested under their parent
+ * - Reviewers: comments and threads started per author
+ * - Unanswered threads: threads nobody but their author has replied to, oldest first
+ *
+ * @param {Object} params
+ * @param {string} [params.title] - Page title
+ * @param {Array} params.comments - Inline comments (already time-filtered)
+ * @param {Array} [params.footerComments=[]] - Footer comments
+ * @param {boolean} [params.includeFooter=false] - Whether footer comments count towards author stats
+ * @param {string} [params.status=COMMENT_STATUS.OPEN] - Status filter (OPEN, RESOLVED or ALL)
+ * @param {Object<string, string>} [params.displayNames={}] - Display name by account ID
+ * @param {Date} [params.generatedAt=new Date()] - Report timestamp
+ * @param {number} [params.maxThreads=10] - Number of top threads to include
+ * @returns {string} Markdown document
+ */
+export function buildReviewReport({
+  title,
+  comments,
+  footerComments = [],
+  includeFooter = false,
+  status = COMMENT_STATUS.OPEN,
+  displayNames = {},
+  generatedAt = new Date(),
+  maxThreads = DEFAULT_MAX_THREADS,
+}) {
+  const threads = rankParentsByReplies(comments, { status });
+  const userCounts = includeFooter
+    ? mergeUserCounts(
+        groupCommentsByUser(comments, { status }),
+        groupCommentsByUser(footerComments, { status: COMMENT_STATUS.ALL })
+      )
+    : groupCommentsByUser(comments, { status });
+  const threadsStarted = new Map();
+  threads.forEach((thread) => {
+    threadsStarted.set(thread.authorId, (threadsStarted.get(thread.authorId) || 0) + 1);
+  });
+  const unanswered = findUnansweredThreads(comments, { status });
+  const commentCount = threads.reduce((total, thread) => total + thread.threadCount, 0);
+
+  const sections = [
+    `# ${UI_LABELS.REPORT_TITLE(escapeMarkdown(title || UI_LABELS.UNTITLED_PAGE))}`,
+    UI_LABELS.REPORT_SUMMARY({
+      generatedAt: formatCommentDate(generatedAt.toISOString()),
+      status: UI_LABELS.COMMENT_STATUS[status],
+      threadCount: threads.length,
+      commentCount,
+    }),
+  ];
+
+  sections.push(`## ${UI_LABELS.REPORT_TOP_THREADS}`);
+  if (threads.length === 0) {
+    sections.push(`_${UI_LABELS.REPORT_NO_THREADS}_`);
+  }
+  threads.slice(0, maxThreads).forEach((thread, index) => {
+    sections.push(
+      `### ${index + 1}. ${UI_LABELS.REPORT_THREAD_STATS(thread.threadCount, thread.participantCount)}`,
+      quoteSelection(thread.inlineOriginalSelection),
+      formatComment(thread, displayNames)
+    );
+  });
+
+  sections.push(`## ${UI_LABELS.REPORT_REVIEWERS}`);
+  if (userCounts.length === 0) {
+    sections.push(`_${UI_LABELS.REPORT_NO_REVIEWERS}_`);
+  } else {
+    sections.push([
+      `| ${UI_LABELS.REPORT_REVIEWER_COLUMNS.join(' | ')} |`,
+      `| --- |${' ---: |'.repeat(UI_LABELS.REPORT_REVIEWER_COLUMNS.length - 1)}`,
+      ...userCounts.map(({ authorId, commentCount: count }) =>
+        `| ${escapeMarkdown(displayNames[authorId] || 'Unknown User')} | ${count} | ${threadsStarted.get(authorId) || 0} |`
+      ),
+    ].join('\n'));
+  }
+
+  sections.push(`## ${UI_LABELS.REPORT_UNANSWERED}`);
+  if (unanswered.length === 0) {
+    sections.push(`_${UI_LABELS.NO_UNANSWERED_THREADS}_`);
+  } else {
+    sections.push(unanswered.map((thread) => {
+      const selection = thread.inlineOriginalSelection?.trim();
+      const quoted = selection ? `"${escapeMarkdown(selection.replace(/\s+/g, ' '))}"` : UI_LABELS.REPORT_NO_SELECTION;
+      const text = (getCommentText(thread) || UI_LABELS.EMPTY_COMMENT).replace(/\n/g, ' ');
+      return `- ${quoted}: ${formatByline(thread, displayNames)}: ${escapeMarkdown(text)}`;
+    }).join('\n'));
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
@@ -0,0 +1,212 @@
+/**
+ * Scoring Strategies Module
+ * Registry of ways to measure how "hot" a comment thread is. The heat values decide
+ * the order threads are ranked in, and therefore their heat levels (colours) on the page
+ * and in the charts (see heatScale.js, colorStrip.js and chartUtils.js).
+ */
+
+import { rankParentsByReplies } from './commentRanking';
+import { memoize, createCommentCacheKey } from './memoize';
+import { COMMENT_STATUS, HALF_LIFE_DAYS, HEAT_VALUE_TYPE, SCORING_STRATEGY } from '../constants';
+
+export const DEFAULT_SCORING_STRATEGY = SCORING_STRATEGY.REPLIES;
+
+// Weight of each normalized signal in the combined score (sums to 1)
+const COMBINED_WEIGHTS = {
+  replies: 0.5,
+  participants: 0.3,
+  recency: 0.2,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Resolution of the default reference time for time-decayed scores
+const NOW_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} ScoringStrategy
+ * @property {Function} getValues - Receives threads ranked by rankParentsByReplies (with threadCount
+ *   and participantCount) and the rankThreads options, and returns one heat value per thread, in the
+ *   same order; higher is hotter
+ * @property {string} [valueType=HEAT_VALUE_TYPE.COUNT] - What the values measure (one of HEAT_VALUE_TYPE),
+ *   which decides the bucketing methods that apply to them (see getBucketingMethods)
+ */
+
+/**
+ * Finds the most recent comment time in a thread.
+ *
+ * @param {CommentNode} node - Root comment node
+ * @returns {number} Milliseconds since the epoch, or 0 if no comment has a creation time
+ */
+export function getLatestActivity(node) {
+  const own = node.createdAt ? Date.parse(node.createdAt) || 0 : 0;
+  return (node.children || []).reduce((latest, child) => Math.max(latest, getLatestActivity(child)), own);
+}
+
+/**
+ * Scores a thread by its recent activity: every comment in the tree counts 1 when just
+ * posted and half as much after each half-life, so a thread's score is roughly its
+ * number of "fresh" comments. Comments without a creation time count 0.
+ *
+ * Every score shrinks by the same factor as time passes, so the order of threads only
+ * changes when new comments arrive.
+ *
+ * @param {CommentNode} node - Root comment node
+ * @param {Object} [options={}]
+ * @param {number} [options.halfLifeDays=HALF_LIFE_DAYS.DEFAULT] - Days for a comment's weight to halve
+ * @param {number} [options.now=Date.now()] - Reference time in milliseconds since the epoch
+ * @returns {number} Decayed comment count
+ *
+ * @example
+ * // One comment posted a week ago, one just now, with a 7-day half-life
+ * getDecayedActivity(node, { halfLifeDays: 7 }); // 1.5
+ */
+export function getDecayedActivity(node, options = {}) {
+  const { halfLifeDays = HALF_LIFE_DAYS.DEFAULT, now = Date.now() } = options;
+  const halfLifeMs = Math.max(halfLifeDays, 0) * DAY_MS || DAY_MS;
+
+  const createdAt = node.createdAt ? Date.parse(node.createdAt) : NaN;
+  // Clamped so comments timestamped after `now` count as just posted
+  const own = Number.isNaN(createdAt) ? 0 : 0.5 ** (Math.max(0, now - createdAt) / halfLifeMs);
+  return (node.children || []).reduce(
+    (total, child) => total + getDecayedActivity(child, { halfLifeDays, now }),
+    own
+  );
+}
+
+/**
+ * Scales values to 0-1 relative to their range; all-equal values map to 1.
+ */
+function normalize(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map((value) => (max === min ? 1 : (value - min) / (max - min)));
+}
+
+const strategies = new Map([
+  [SCORING_STRATEGY.REPLIES, {
+    valueType: HEAT_VALUE_TYPE.COUNT,
+    getValues: (threads) => threads.map((thread) => thread.threadCount),
+  }],
+  [SCORING_STRATEGY.PARTICIPANTS, {
+    valueType: HEAT_VALUE_TYPE.COUNT,
+    getValues: (threads) => threads.map((thread) => thread.participantCount),
+  }],
+  [SCORING_STRATEGY.RECENT, {
+    valueType: HEAT_VALUE_TYPE.TIME,
+    getValues: (threads) => threads.map(getLatestActivity),
+  }],
+  [SCORING_STRATEGY.COMBINED, {
+    valueType: HEAT_VALUE_TYPE.SCORE,
+    getValues: (threads) => {
+      if (threads.length === 0) return [];
+      const replies = normalize(threads.map((thread) => thread.threadCount));
+      const participants = normalize(threads.map((thread) => thread.participantCount));
+      const recency = normalize(threads.map(getLatestActivity));
+      return threads.map((_, index) =>
+        COMBINED_WEIGHTS.replies * replies[index] +
+        COMBINED_WEIGHTS.participants * participants[index] +
+        COMBINED_WEIGHTS.recency * recency[index]
+      );
+    },
+  }],
+  [SCORING_STRATEGY.HOT, {
+    valueType: HEAT_VALUE_TYPE.COUNT,
+    getValues: (threads, options) => {
+      const now = resolveDecayTime(options?.now);
+      return threads.map((thread) => getDecayedActivity(thread, { ...options, now }));
+    },
+  }],
+]);
+
+/**
+ * Resolves the reference time of time-decayed scores: `now` when given, otherwise the current
+ * time rounded down to the minute. Rounding keeps memoized results reusable within a minute
+ * while still letting live pages move on; resolve before building a cache key, never after.
+ *
+ * @param {number} [now] - Reference time in milliseconds since the epoch
+ * @returns {number} Reference time in milliseconds since the epoch
+ */
+export function resolveDecayTime(now) {
+  return now ?? Math.floor(Date.now() / NOW_RESOLUTION_MS) * NOW_RESOLUTION_MS;
+}
+
+/**
+ * Adds (or replaces) a scoring strategy in the registry.
+ *
+ * @param {string} key - Strategy key, e.g. one of SCORING_STRATEGY
+ * @param {ScoringStrategy} strategy - Strategy implementation
+ */
+export function registerScoringStrategy(key, strategy) {
+  if (typeof strategy?.getValues !== 'function') {
+    throw new Error(`Scoring strategy "${key}" must implement getValues(threads, options)`);
+  }
+  strategies.set(key, strategy);
+}
+
+/**
+ * Looks up a scoring strategy, falling back to the default for unknown keys.
+ *
+ * @param {string} [key=DEFAULT_SCORING_STRATEGY] - Strategy key
+ * @returns {ScoringStrategy} Registered strategy
+ */
+export function getScoringStrategy(key = DEFAULT_SCORING_STRATEGY) {
+  return strategies.get(key) || strategies.get(DEFAULT_SCORING_STRATEGY);
+}
+
+/**
+ * Gets what a strategy's heat values measure.
+ *
+ * @param {string} [key=DEFAULT_SCORING_STRATEGY] - Strategy key
+ * @returns {string} One of HEAT_VALUE_TYPE (COUNT when the strategy doesn't declare one)
+ */
+export function getStrategyValueType(key = DEFAULT_SCORING_STRATEGY) {
+  return getScoringStrategy(key).valueType || HEAT_VALUE_TYPE.COUNT;
+}
+
+/**
+ * Lists the keys of every registered strategy, in registration order.
+ *
+ * @returns {Array<string>} Strategy keys
+ */
+export function getScoringStrategyKeys() {
+  return Array.from(strategies.keys());
+}
+
+/**
+ * Internal implementation of rankThreads (not memoized).
+ * This is memoized by the exported function below.
+ */
+function rankThreadsImpl(comments, options = {}) {
+  const { status = COMMENT_STATUS.OPEN, strategy = DEFAULT_SCORING_STRATEGY, ...strategyOptions } = options;
+  const threads = rankParentsByReplies(comments, { status });
+  const heat = getScoringStrategy(strategy).getValues(threads, strategyOptions);
+
+  // Ties keep the reply-count order (Array.prototype.sort is stable)
+  return threads
+    .map((thread, index) => ({ ...thread, heat: heat[index] }))
+    .sort((a, b) => b.heat - a.heat);
+}
+
+const memoizedRankThreads = memoize(
+  rankThreadsImpl,
+  (comments, options) => createCommentCacheKey(comments, options)
+);
+
+/**
+ * Returns root comments ranked by a scoring strategy (hottest first), each with its heat value.
+ * With the default strategy the order matches rankParentsByReplies. Results are memoized;
+ * `now` is resolved first (see resolveDecayTime), so it is always part of the cache key.
+ *
+ * @param {Array<Object>} comments - Flat array from API
+ * @param {Object} [options={}]
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Filter by status (OPEN, RESOLVED or ALL)
+ * @param {string} [options.strategy=DEFAULT_SCORING_STRATEGY] - One of SCORING_STRATEGY
+ * @param {number} [options.halfLifeDays=HALF_LIFE_DAYS.DEFAULT] - Half-life of SCORING_STRATEGY.HOT
+ * @param {number} [options.now] - Reference time of SCORING_STRATEGY.HOT (defaults to the current
+ *   time, rounded down to the minute)
+ * @returns {Array<CommentNode & { threadCount: number, participantCount: number, heat: number }>}
+ *   Root comments sorted by heat (descending)
+ */
+export function rankThreads(comments, options = {}) {
+  return memoizedRankThreads(comments, { ...options, now: resolveDecayTime(options.now) });
+}
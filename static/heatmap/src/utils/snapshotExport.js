@@ -0,0 +1,272 @@
+/**
+ * Snapshot Export Module
+ * Renders the highlighted page body and the sidebar charts into a single image
+ * (PNG or multi-page PDF) for attaching heatmaps to review sign-offs.
+ *
+ * html2canvas, jspdf and echarts are imported on demand so they only load when
+ * a snapshot is exported.
+ */
+
+import { COLORS, INTENT_COLORS } from './chartUtils';
+import { getRankColors } from './heatScale';
+import { downloadFile } from './download';
+import { DATE_FORMAT, HEAT_LEVELS, HIGHLIGHT_MODE, SNAPSHOT_FORMAT, UI_LABELS } from '../constants';
+
+// Layout of the composed snapshot, in CSS pixels (multiplied by SCALE on the canvas)
+const SCALE = 2;
+const PADDING = 24;
+const GAP = 24;
+const CHART_COLUMN_WIDTH = 320;
+const LEGEND_SWATCH_SIZE = 14;
+// Room taken by the title, timestamp and legend drawn by drawHeader
+const HEADER_HEIGHT = 120;
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+// Browsers refuse to allocate canvases taller than this (in device pixels)
+const MAX_CANVAS_HEIGHT = 16384;
+
+// A4 portrait in millimetres, with a margin on every side
+const PDF_PAGE = { width: 210, height: 297, margin: 10 };
+
+/**
+ * Loads an image from a data URL.
+ */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load chart image'));
+    image.src = src;
+  });
+}
+
+/**
+ * Captures every rendered ECharts chart in a container, together with the heading
+ * of the `.conf-chart-section` it sits in.
+ *
+ * @param {HTMLElement} container - Element containing chart sections (e.g. the sidebar)
+ * @returns {Promise<Array<{title: string, image: HTMLImageElement}>>} Chart images in document order
+ */
+export async function captureCharts(container) {
+  if (!container) return [];
+  const { getInstanceByDom } = await import('echarts');
+
+  const charts = [];
+  for (const section of container.querySelectorAll('.conf-chart-section')) {
+    const chartElement = section.querySelector('.echarts-for-react');
+    const instance = chartElement && getInstanceByDom(chartElement);
+    if (!instance) continue;
+
+    const dataUrl = instance.getDataURL({ type: 'png', pixelRatio: SCALE, backgroundColor: '#FFFFFF' });
+    charts.push({
+      title: section.querySelector('h1, h2, h3, h4')?.textContent || '',
+      image: await loadImage(dataUrl),
+    });
+  }
+  return charts;
+}
+
+/**
+ * Formats the export timestamp shown in the snapshot header.
+ */
+function formatExportTime(date) {
+  return date.toLocaleString(DATE_FORMAT.LOCALE, {
+    ...DATE_FORMAT.OPTIONS,
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Draws the heat legend: swatches for every level, from quiet to hottest.
+ */
+function drawHeatLegend(context, x, y, levels) {
+  context.fillText(UI_LABELS.HEATMAP_LEGEND_TITLE, x, y);
+  x += context.measureText(UI_LABELS.HEATMAP_LEGEND_TITLE).width + 12;
+  context.fillStyle = COLORS.N800;
+  context.fillText(UI_LABELS.HEATMAP_LEGEND.LOW, x, y);
+  x += context.measureText(UI_LABELS.HEATMAP_LEGEND.LOW).width + 8;
+  getRankColors(levels).forEach(({ normal }) => {
+    context.fillStyle = normal;
+    context.fillRect(x, y, LEGEND_SWATCH_SIZE, LEGEND_SWATCH_SIZE);
+    x += LEGEND_SWATCH_SIZE + 2;
+  });
+  context.fillStyle = COLORS.N800;
+  context.fillText(UI_LABELS.HEATMAP_LEGEND.HIGH, x + 6, y);
+}
+
+/**
+ * Draws the intent legend: one labelled swatch per intent.
+ */
+function drawIntentLegend(context, x, y) {
+  Object.entries(INTENT_COLORS).forEach(([intent, color]) => {
+    context.fillStyle = color;
+    context.fillRect(x, y, LEGEND_SWATCH_SIZE, LEGEND_SWATCH_SIZE);
+    x += LEGEND_SWATCH_SIZE + 6;
+    context.fillStyle = COLORS.N800;
+    const label = UI_LABELS.INTENTS[intent];
+    context.fillText(label, x, y);
+    x += context.measureText(label).width + 16;
+  });
+}
+
+/**
+ * Draws the title, export timestamp and colour legend (heat levels or intents) above the content.
+ */
+function drawHeader(context, { title, exportedAt, levels, highlightMode, width }) {
+  let y = PADDING;
+
+  context.fillStyle = COLORS.N800;
+  context.font = `600 22px ${FONT_FAMILY}`;
+  context.textBaseline = 'top';
+  context.fillText(title || UI_LABELS.UNTITLED_PAGE, PADDING, y, width - PADDING * 2);
+  y += 30;
+
+  context.fillStyle = COLORS.N200;
+  context.font = `13px ${FONT_FAMILY}`;
+  context.fillText(UI_LABELS.SNAPSHOT_EXPORTED_AT(formatExportTime(exportedAt)), PADDING, y);
+  y += 26;
+
+  if (highlightMode === HIGHLIGHT_MODE.INTENT) {
+    drawIntentLegend(context, PADDING, y);
+  } else {
+    drawHeatLegend(context, PADDING, y, levels);
+  }
+  y += LEGEND_SWATCH_SIZE + GAP;
+
+  context.strokeStyle = COLORS.N40;
+  context.beginPath();
+  context.moveTo(PADDING, y - GAP / 2);
+  context.lineTo(width - PADDING, y - GAP / 2);
+  context.stroke();
+}
+
+/**
+ * Renders the heatmap view into one canvas: a header with the page title, export
+ * timestamp and rank legend, then the highlighted page body with the sidebar charts
+ * in a column to its right.
+ *
+ * @param {Object} params
+ * @param {HTMLElement} params.bodyElement - The highlighted page body (`.conf-body`)
+ * @param {HTMLElement} [params.chartContainer] - Element holding the sidebar chart sections
+ * @param {string} [params.title] - Page title
+ * @param {number} [params.levels=HEAT_LEVELS.DEFAULT] - Number of heat levels shown in the legend
+ * @param {string} [params.highlightMode=HIGHLIGHT_MODE.HEAT] - Whether the legend shows heat levels or intents
+ * @param {Date} [params.exportedAt=new Date()] - Export timestamp
+ * @returns {Promise<HTMLCanvasElement>} The composed snapshot
+ */
+export async function renderHeatmapSnapshot({
+  bodyElement,
+  chartContainer,
+  title,
+  levels = HEAT_LEVELS.DEFAULT,
+  highlightMode = HIGHLIGHT_MODE.HEAT,
+  exportedAt = new Date(),
+}) {
+  const [{ default: html2canvas }, charts] = await Promise.all([
+    import('html2canvas'),
+    captureCharts(chartContainer),
+  ]);
+
+  const bodyWidth = bodyElement.scrollWidth;
+  const chartsHeight = charts.reduce(
+    (total, chart) => total + 24 + (chart.image.height / chart.image.width) * CHART_COLUMN_WIDTH + GAP,
+    0
+  );
+  const width = PADDING * 2 + bodyWidth + (charts.length > 0 ? GAP + CHART_COLUMN_WIDTH : 0);
+  const contentHeight = Math.max(bodyElement.scrollHeight, chartsHeight);
+
+  // Long pages are rendered at a lower resolution rather than failing to allocate the canvas
+  const scale = Math.min(SCALE, MAX_CANVAS_HEIGHT / (HEADER_HEIGHT + contentHeight + PADDING));
+
+  const bodyCanvas = await html2canvas(bodyElement, {
+    scale,
+    useCORS: true,
+    backgroundColor: '#FFFFFF',
+    logging: false,
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * scale);
+  canvas.height = Math.ceil((HEADER_HEIGHT + contentHeight + PADDING) * scale);
+  const context = canvas.getContext('2d');
+  context.scale(scale, scale);
+  context.fillStyle = '#FFFFFF';
+  context.fillRect(0, 0, width, canvas.height / scale);
+
+  drawHeader(context, { title, exportedAt, levels, highlightMode, width });
+  const top = HEADER_HEIGHT;
+  context.drawImage(bodyCanvas, PADDING, top, bodyWidth, bodyCanvas.height / scale);
+
+  let chartY = top;
+  const chartX = PADDING + bodyWidth + GAP;
+  for (const chart of charts) {
+    context.fillStyle = COLORS.N800;
+    context.font = `600 14px ${FONT_FAMILY}`;
+    context.fillText(chart.title, chartX, chartY, CHART_COLUMN_WIDTH);
+    chartY += 24;
+    const chartHeight = (chart.image.height / chart.image.width) * CHART_COLUMN_WIDTH;
+    context.drawImage(chart.image, chartX, chartY, CHART_COLUMN_WIDTH, chartHeight);
+    chartY += chartHeight + GAP;
+  }
+
+  return canvas;
+}
+
+/**
+ * Converts a canvas to a PNG blob.
+ */
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode snapshot'))), 'image/png');
+  });
+}
+
+/**
+ * Lays a tall snapshot out over as many A4 pages as needed, slicing it at page height.
+ *
+ * @param {HTMLCanvasElement} canvas - Composed snapshot
+ * @returns {Promise<Blob>} PDF document
+ */
+async function canvasToPdf(canvas) {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+
+  const contentWidth = PDF_PAGE.width - PDF_PAGE.margin * 2;
+  const contentHeight = PDF_PAGE.height - PDF_PAGE.margin * 2;
+  // Canvas pixels that fit on one page at full content width
+  const sliceHeight = Math.floor((contentHeight / contentWidth) * canvas.width);
+
+  for (let offset = 0; offset < canvas.height; offset += sliceHeight) {
+    const slice = document.createElement('canvas');
+    slice.width = canvas.width;
+    slice.height = Math.min(sliceHeight, canvas.height - offset);
+    slice.getContext('2d').drawImage(canvas, 0, offset, canvas.width, slice.height, 0, 0, canvas.width, slice.height);
+
+    if (offset > 0) pdf.addPage();
+    pdf.addImage(
+      slice.toDataURL('image/png'),
+      'PNG',
+      PDF_PAGE.margin,
+      PDF_PAGE.margin,
+      contentWidth,
+      (slice.height / canvas.width) * contentWidth
+    );
+  }
+
+  return pdf.output('blob');
+}
+
+/**
+ * Renders the heatmap view and downloads it as a PNG image or a multi-page PDF.
+ *
+ * @param {Object} params - See renderHeatmapSnapshot
+ * @param {string} format - One of SNAPSHOT_FORMAT
+ * @param {string} fileName - Name of the downloaded file
+ * @returns {Promise<void>}
+ */
+export async function exportHeatmapSnapshot(params, format, fileName) {
+  const canvas = await renderHeatmapSnapshot(params);
+  const blob = format === SNAPSHOT_FORMAT.PDF ? await canvasToPdf(canvas) : await canvasToBlob(canvas);
+  downloadFile(blob, fileName);
+}
@@ -0,0 +1,121 @@
+/**
+ * Timeline Module
+ * Buckets comment activity by creation time for the activity timeline chart.
+ */
+
+import { buildCommentTree, matchesStatus } from './commentRanking';
+import { COMMENT_STATUS, DATE_FORMAT, TIMELINE_GRANULARITY } from '../constants';
+
+/**
+ * Gets the start of the bucket containing a point in time, in local time.
+ * Weeks start on Monday.
+ * 
+ * @param {number} time - Milliseconds since epoch
+ * @param {string} granularity - One of TIMELINE_GRANULARITY
+ * @returns {number} Bucket start in milliseconds since epoch
+ */
+export function getBucketStart(time, granularity) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  if (granularity === TIMELINE_GRANULARITY.WEEK) {
+    // getDay() is 0 for Sunday; shift so Monday is the first day
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  }
+  return date.getTime();
+}
+
+/**
+ * Gets the start of the bucket following the one starting at bucketStart.
+ * Uses calendar arithmetic so daylight saving changes don't skew buckets.
+ * 
+ * @param {number} bucketStart - Bucket start in milliseconds since epoch
+ * @param {string} granularity - One of TIMELINE_GRANULARITY
+ * @returns {number} Next bucket start in milliseconds since epoch
+ */
+export function getNextBucketStart(bucketStart, granularity) {
+  const date = new Date(bucketStart);
+  date.setDate(date.getDate() + (granularity === TIMELINE_GRANULARITY.WEEK ? 7 : 1));
+  return date.getTime();
+}
+
+/**
+ * Counts new threads and replies per time bucket.
+ * Only threads whose root matches the status filter are counted; a reply is counted in
+ * the bucket it was written in, not the bucket its thread started in.
+ * Buckets are contiguous from the earliest to the latest comment, including empty ones.
+ * 
+ * @param {Array} comments - Flat array of comments from API
+ * @param {Object} [options={}]
+ * @param {string} [options.granularity=TIMELINE_GRANULARITY.DAY] - Bucket size
+ * @param {string} [options.status=COMMENT_STATUS.OPEN] - Only count threads matching this status
+ * @returns {Array<{start: number, end: number, threads: number, replies: number}>} Buckets in
+ *   chronological order (end is exclusive)
+ * 
+ * @example
+ * bucketCommentsByTime([
+ *   { id: '1', resolutionStatus: 'open', version: { createdAt: '2024-05-01T09:00:00Z' } },
+ *   { id: '2', parentCommentId: '1', version: { createdAt: '2024-05-02T10:00:00Z' } }
+ * ]);
+ * // Returns: [{ start, end, threads: 1, replies: 0 }, { start, end, threads: 0, replies: 1 }]
+ */
+export function bucketCommentsByTime(
+  comments,
+  { granularity = TIMELINE_GRANULARITY.DAY, status = COMMENT_STATUS.OPEN } = {}
+) {
+  if (!comments || comments.length === 0) {
+    return [];
+  }
+
+  const counts = new Map(); // bucket start -> { threads, replies }
+  const count = (createdAt, kind) => {
+    const time = createdAt ? Date.parse(createdAt) : NaN;
+    if (Number.isNaN(time)) return;
+    const start = getBucketStart(time, granularity);
+    const bucket = counts.get(start) || { threads: 0, replies: 0 };
+    bucket[kind] += 1;
+    counts.set(start, bucket);
+  };
+  const countReplies = (node) => {
+    node.children.forEach((child) => {
+      count(child.createdAt, 'replies');
+      countReplies(child);
+    });
+  };
+
+  buildCommentTree(comments).roots
+    .filter((root) => matchesStatus(root.resolutionStatus, status))
+    .forEach((root) => {
+      count(root.createdAt, 'threads');
+      countReplies(root);
+    });
+
+  if (counts.size === 0) {
+    return [];
+  }
+
+  const last = Math.max(...counts.keys());
+  const buckets = [];
+  for (let start = Math.min(...counts.keys()); start <= last; start = getNextBucketStart(start, granularity)) {
+    const bucket = counts.get(start) || { threads: 0, replies: 0 };
+    buckets.push({ start, end: getNextBucketStart(start, granularity), ...bucket });
+  }
+  return buckets;
+}
+
+/**
+ * Formats a time range as a short label, e.g. "May 6" for a day or "May 6 – May 12" for a week.
+ * 
+ * @param {{start: number, end: number}} range - Range with exclusive end
+ * @returns {string} Human-readable label
+ */
+export function formatTimeRange({ start, end }) {
+  const format = (time) =>
+    new Date(time).toLocaleDateString(DATE_FORMAT.LOCALE, { month: 'short', day: 'numeric' });
+  // The end is exclusive, so the last included day is the one before it
+  const lastDay = new Date(end);
+  lastDay.setDate(lastDay.getDate() - 1);
+
+  const startLabel = format(start);
+  const endLabel = format(lastDay.getTime());
+  return startLabel === endLabel ? startLabel : `${startLabel} – ${endLabel}`;
+}
@@ -1,11 +1,37 @@
-import { getUserInfo } from '../api/confluence';
+import { getUserInfo, getUsersBulk } from '../api/confluence';
+import { REQUEST_LIMITS } from '../constants';
 import { getAvatarUrl } from './commentPopup';
+import { abortable, isAbortError, throwIfAborted } from './abort';
+import { mapWithConcurrency } from './concurrency';
+import { loadStoredProfiles, saveStoredProfiles } from './profileStore';
+
+/**
+ * Splits an array into consecutive chunks of at most `size` items.
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
 
 /**
  * User Info Cache Service
  * Prevents redundant API calls by caching user information and deduplicating
  * concurrent requests for the same user.
  * 
+ * Uncached users are looked up through the bulk user endpoint in chunks; anyone
+ * the bulk endpoint doesn't return falls back to single lookups with a capped
+ * number of requests in flight. Failed lookups are not cached: they are skipped
+ * for a cooldown period (to avoid retry loops) and are retried explicitly whenever the
+ * page data is reloaded (see usePageData).
+ * 
+ * Resolved profiles are persisted to browser storage (see profileStore). On the
+ * next visit they are served immediately and refreshed in the background the
+ * first time they are requested; subscribers are notified when refreshed
+ * profiles differ from the stored ones.
+ * 
  * This cache is particularly useful when multiple components need the same
  * user information (e.g., charts and popups fetching info for the same users).
  */
@@ -16,6 +42,100 @@ class UserInfoCache {
     
     // Map of user ID -> pending Promise (prevents duplicate concurrent requests)
     this.pendingRequests = new Map();
+
+    // Map of user ID -> timestamp of the last failed lookup
+    this.failedLookups = new Map();
+
+    // Map of user ID -> time the cached profile was fetched (persisted with it)
+    this.storedAt = new Map();
+
+    // IDs restored from storage that haven't been refreshed this session
+    this.staleIds = new Set();
+    this.refreshQueue = new Set();
+    this.refreshTimer = null;
+
+    // Callbacks notified when cached profiles change
+    this.listeners = new Set();
+
+    loadStoredProfiles().forEach(({ user, storedAt }, accountId) => {
+      this.cache.set(accountId, user);
+      this.storedAt.set(accountId, storedAt);
+      this.staleIds.add(accountId);
+    });
+  }
+
+  /**
+   * Registers a callback invoked whenever cached profiles change.
+   * 
+   * @param {Function} listener - Called with no arguments
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Writes the current cache to persistent storage.
+   */
+  persist() {
+    const profiles = new Map();
+    this.cache.forEach((user, accountId) => {
+      profiles.set(accountId, { user, storedAt: this.storedAt.get(accountId) || Date.now() });
+    });
+    saveStoredProfiles(profiles);
+  }
+
+  /**
+   * Queues a profile restored from storage for a background refresh.
+   * Queued IDs are collected for a tick so they refresh in as few bulk requests as possible.
+   * 
+   * @param {string} accountId - User account ID
+   */
+  scheduleRefresh(accountId) {
+    this.staleIds.delete(accountId);
+    this.refreshQueue.add(accountId);
+
+    if (this.refreshTimer) return;
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      const ids = Array.from(this.refreshQueue);
+      this.refreshQueue.clear();
+      this.refreshUsers(ids);
+    }, 0);
+  }
+
+  /**
+   * Re-fetches cached profiles and notifies subscribers if any changed.
+   * Profiles that fail to refresh keep their stored value.
+   * 
+   * @param {Array<string>} accountIds - Account IDs to refresh
+   * @returns {Promise<void>}
+   */
+  async refreshUsers(accountIds) {
+    const previous = new Map(accountIds.map(id => [id, this.cache.get(id)]));
+    const found = await this.fetchUsers(accountIds);
+
+    const changed = Array.from(found.entries()).some(([id, user]) => {
+      const before = previous.get(id);
+      return before?.displayName !== user.displayName
+        || before?.profilePicture?.path !== user.profilePicture?.path;
+    });
+
+    if (changed) {
+      this.listeners.forEach(listener => listener());
+    }
+  }
+
+  /**
+   * Checks whether a user recently failed to load and should not be re-requested yet.
+   * 
+   * @param {string} accountId - User account ID
+   * @returns {boolean} True while the failure cooldown is active
+   */
+  isCoolingDown(accountId) {
+    const failedAt = this.failedLookups.get(accountId);
+    return failedAt !== undefined && Date.now() - failedAt < REQUEST_LIMITS.USER_FAILURE_RETRY_MS;
   }
 
   /**
@@ -24,44 +144,110 @@ class UserInfoCache {
    * Prevents duplicate concurrent requests for the same user.
    * 
    * @param {string} accountId - User account ID
-   * @returns {Promise<Object>} User data object with displayName, avatarUrl, etc.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Stops waiting (and prevents new lookups) when aborted
+   * @returns {Promise<Object|null>} User data object, or null if the user could not be loaded
+   * @throws {Error} AbortError if the signal is aborted
    */
-  async getUserInfo(accountId) {
+  async getUserInfo(accountId, { signal } = {}) {
     if (!accountId) {
       return null;
     }
+    const [user] = await this.getMultipleUserInfo([accountId], { signal });
+    return user;
+  }
+
+  /**
+   * Looks up users that are neither cached nor pending and records the outcome.
+   * Bulk chunks are tried first; users missing from the bulk results (or whose
+   * chunk failed) are fetched one by one. Cancelled lookups record nothing.
+   * 
+   * @param {Array<string>} accountIds - Account IDs to fetch
+   * @param {AbortSignal} [signal] - Signal of the caller that started the lookup
+   * @returns {Promise<Map<string, Object>>} Map of account ID -> user for users that loaded
+   */
+  async fetchUsers(accountIds, signal) {
+    const found = new Map();
+
+    try {
+      await mapWithConcurrency(
+        chunk(accountIds, REQUEST_LIMITS.USER_BULK_CHUNK_SIZE),
+        REQUEST_LIMITS.USER_LOOKUP_CONCURRENCY,
+        async (ids) => {
+          try {
+            const users = await getUsersBulk(ids, { signal });
+            users.forEach(user => {
+              if (user?.accountId) found.set(user.accountId, user);
+            });
+          } catch (error) {
+            if (isAbortError(error)) throw error;
+            // Users in a failed chunk are retried individually below
+          }
+        }
+      );
+
+      const missingIds = accountIds.filter(id => !found.has(id));
+      await mapWithConcurrency(
+        missingIds,
+        REQUEST_LIMITS.USER_LOOKUP_CONCURRENCY,
+        async (id) => {
+          try {
+            const user = await getUserInfo(id, { signal });
+            if (user) found.set(id, user);
+          } catch (error) {
+            if (isAbortError(error)) throw error;
+            // Recorded as a failed lookup below
+          }
+        }
+      );
+
+      const now = Date.now();
+      accountIds.forEach(id => {
+        if (found.has(id)) {
+          this.cache.set(id, found.get(id));
+          this.storedAt.set(id, now);
+          this.failedLookups.delete(id);
+        } else {
+          this.failedLookups.set(id, now);
+        }
+      });
+
+      if (found.size > 0) {
+        this.persist();
+      }
+
+      return found;
+    } finally {
+      accountIds.forEach(id => this.pendingRequests.delete(id));
+    }
+  }
 
-    // Return cached value if available
+  /**
+   * Waits for a single user from the cache or an in-flight lookup.
+   * 
+   * @param {string} accountId - User account ID
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   * @returns {Promise<Object|null>} User data object, or null if unavailable
+   */
+  async waitForUser(accountId, signal) {
     if (this.cache.has(accountId)) {
       return this.cache.get(accountId);
     }
 
-    // Return pending promise if request already in flight (prevents duplicate requests)
-    if (this.pendingRequests.has(accountId)) {
-      return this.pendingRequests.get(accountId);
+    const pending = this.pendingRequests.get(accountId);
+    if (!pending) {
+      return null; // Failed recently and still cooling down
     }
 
-    // Create new request and cache the promise
-    const promise = getUserInfo(accountId)
-      .then(user => {
-        // Cache the result
-        this.cache.set(accountId, user);
-        // Remove from pending requests
-        this.pendingRequests.delete(accountId);
-        return user;
-      })
-      .catch(error => {
-        // Remove from pending requests on error (allow retry)
-        this.pendingRequests.delete(accountId);
-        // Return null user object to prevent breaking the UI
-        const nullUser = null;
-        this.cache.set(accountId, nullUser); // Cache null to prevent retry loops
-        return nullUser;
-      });
-
-    // Store pending promise
-    this.pendingRequests.set(accountId, promise);
-    return promise;
+    try {
+      return await abortable(pending, signal);
+    } catch (error) {
+      // The shared lookup was started by a caller that has since been cancelled; start our own
+      if (isAbortError(error) && !signal?.aborted) {
+        return this.getUserInfo(accountId, { signal });
+      }
+      throw error;
+    }
   }
 
   /**
@@ -69,19 +255,38 @@ class UserInfoCache {
    * Deduplicates IDs and batches requests, reusing cached values where available.
    * 
    * @param {Array<string>} accountIds - Array of user account IDs
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels outstanding lookups
    * @returns {Promise<Array<Object>>} Array of user data objects in same order as input
+   * @throws {Error} AbortError if the signal is aborted
    */
-  async getMultipleUserInfo(accountIds) {
+  async getMultipleUserInfo(accountIds, { signal } = {}) {
     if (!accountIds || accountIds.length === 0) {
       return [];
     }
 
     // Filter out null/undefined IDs and deduplicate
     const uniqueIds = [...new Set(accountIds.filter(id => id !== null && id !== undefined))];
-    
-    // Fetch all unique users in parallel
-    const userPromises = uniqueIds.map(id => this.getUserInfo(id));
-    const users = await Promise.all(userPromises);
+
+    // Profiles restored from storage are served as-is and refreshed in the background
+    uniqueIds
+      .filter(id => this.staleIds.has(id))
+      .forEach(id => this.scheduleRefresh(id));
+
+    const idsToFetch = uniqueIds.filter(id =>
+      !this.cache.has(id) && !this.pendingRequests.has(id) && !this.isCoolingDown(id)
+    );
+
+    if (idsToFetch.length > 0) {
+      throwIfAborted(signal);
+      // One shared lookup for the whole batch; each ID gets its own pending promise
+      const lookup = this.fetchUsers(idsToFetch, signal);
+      idsToFetch.forEach(id => {
+        this.pendingRequests.set(id, lookup.then(found => found.get(id) || null));
+      });
+    }
+
+    const users = await Promise.all(uniqueIds.map(id => this.waitForUser(id, signal)));
     
     // Create a map for quick lookup
     const userMap = new Map();
@@ -98,14 +303,38 @@ class UserInfoCache {
     });
   }
 
+  /**
+   * Retries every user whose lookup previously failed, ignoring the cooldown.
+   * 
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels outstanding lookups
+   * @returns {Promise<Array<Object>>} Users that were retried (null for ones that failed again)
+   */
+  async retryFailedUsers({ signal } = {}) {
+    const failedIds = this.getFailedUserIds();
+    failedIds.forEach(id => this.failedLookups.delete(id));
+    return this.getMultipleUserInfo(failedIds, { signal });
+  }
+
+  /**
+   * Gets the account IDs whose most recent lookup failed.
+   * @returns {Array<string>} Failed account IDs
+   */
+  getFailedUserIds() {
+    return Array.from(this.failedLookups.keys());
+  }
+
   /**
    * Gets enriched user info (with displayName and avatarUrl) for a single account ID.
    * Convenience method that combines getUserInfo with avatar URL generation.
    * 
    * @param {string} accountId - User account ID
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the lookup
    * @returns {Promise<Object>} Object with userId, displayName, and avatarUrl
+   * @throws {Error} AbortError if the signal is aborted
    */
-  async getEnrichedUserInfo(accountId) {
+  async getEnrichedUserInfo(accountId, { signal } = {}) {
     if (!accountId) {
       return {
         userId: null,
@@ -115,13 +344,14 @@ class UserInfoCache {
     }
 
     try {
-      const user = await this.getUserInfo(accountId);
+      const user = await this.getUserInfo(accountId, { signal });
       return {
         userId: accountId,
         displayName: user?.displayName || 'Unknown User',
         avatarUrl: user ? getAvatarUrl(user) : null,
       };
-    } catch {
+    } catch (error) {
+      if (isAbortError(error)) throw error;
       return {
         userId: accountId,
         displayName: 'Unknown User',
@@ -135,46 +365,67 @@ class UserInfoCache {
    * Returns array of objects with userId, displayName, and avatarUrl.
    * 
    * @param {Array<string>} accountIds - Array of user account IDs
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels outstanding lookups
    * @returns {Promise<Array<Object>>} Array of enriched user info objects
+   * @throws {Error} AbortError if the signal is aborted
    */
-  async getMultipleEnrichedUserInfo(accountIds) {
+  async getMultipleEnrichedUserInfo(accountIds, { signal } = {}) {
     if (!accountIds || accountIds.length === 0) {
       return [];
     }
 
-    // Filter out null/undefined IDs and deduplicate
-    const uniqueIds = [...new Set(accountIds.filter(id => id !== null && id !== undefined))];
-    
-    // Fetch all unique users in parallel
-    const enrichedPromises = uniqueIds.map(id => this.getEnrichedUserInfo(id));
-    const enrichedUsers = await Promise.all(enrichedPromises);
-    
-    // Create a map for quick lookup
-    const enrichedMap = new Map();
-    uniqueIds.forEach((id, index) => {
-      enrichedMap.set(id, enrichedUsers[index]);
-    });
+    // Fetch all users in one batched lookup (deduplicated, cached, bulk endpoint)
+    const users = await this.getMultipleUserInfo(accountIds, { signal });
     
     // Return results in the same order as input (including nulls for null IDs)
-    return accountIds.map(id => {
+    return accountIds.map((id, index) => {
       if (id === null || id === undefined) {
         return null;
       }
-      const enriched = enrichedMap.get(id);
-      return enriched || {
+      const user = users[index];
+      return {
         userId: id,
-        displayName: 'Unknown User',
-        avatarUrl: null,
+        displayName: user?.displayName || 'Unknown User',
+        avatarUrl: user ? getAvatarUrl(user) : null,
       };
     });
   }
 
   /**
-   * Clears the cache (useful for testing or memory management).
+   * Gets display names for several account IDs as a lookup object.
+   * Users that cannot be found are left out, so callers pick their own fallback.
+   * 
+   * @param {Array<string>} accountIds - Array of user account IDs
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels outstanding lookups
+   * @returns {Promise<Object<string, string>>} Display name by account ID
+   * @throws {Error} AbortError if the signal is aborted
+   */
+  async getDisplayNames(accountIds, { signal } = {}) {
+    const users = await this.getMultipleUserInfo(accountIds, { signal });
+    const displayNames = {};
+    (accountIds || []).forEach((id, index) => {
+      if (id && users[index]?.displayName) {
+        displayNames[id] = users[index].displayName;
+      }
+    });
+    return displayNames;
+  }
+
+  /**
+   * Clears the in-memory cache (useful for testing or memory management).
+   * Persisted profiles are left in storage.
    */
   clear() {
     this.cache.clear();
     this.pendingRequests.clear();
+    this.failedLookups.clear();
+    this.storedAt.clear();
+    this.staleIds.clear();
+    this.refreshQueue.clear();
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
   }
 
   /**
@@ -0,0 +1,49 @@
+/**
+ * Version Diff Module
+ * Compares inline comment markers between two versions of a page body.
+ */
+
+/**
+ * Extracts the inline comment marker refs present in a storage format body, in document order.
+ * 
+ * @param {string} storageHtml - Confluence storage format HTML
+ * @returns {Array<string>} Unique marker refs
+ * 
+ * @example
+ * extractMarkerRefs('<p><ac:inline-comment-marker ac:ref="abc">text</ac:inline-comment-marker></p>');
+ * // Returns ['abc']
+ */
+export function extractMarkerRefs(storageHtml) {
+  if (!storageHtml) return [];
+
+  const refs = new Set();
+  const pattern = /<ac:inline-comment-marker\b[^>]*\bac:ref="([^"]+)"/g;
+  let match;
+  while ((match = pattern.exec(storageHtml)) !== null) {
+    refs.add(match[1]);
+  }
+  return [...refs];
+}
+
+/**
+ * Compares the marker refs of two page versions.
+ * 
+ * @param {Array<string>} previousRefs - Marker refs of the older version
+ * @param {Array<string>} currentRefs - Marker refs of the newer version
+ * @returns {{added: Array<string>, removed: Array<string>, kept: Array<string>}} Refs only in the newer
+ *   version, only in the older version, and in both
+ * 
+ * @example
+ * diffMarkerRefs(['a', 'b'], ['b', 'c']);
+ * // Returns { added: ['c'], removed: ['a'], kept: ['b'] }
+ */
+export function diffMarkerRefs(previousRefs, currentRefs) {
+  const previous = new Set(previousRefs);
+  const current = new Set(currentRefs);
+
+  return {
+    added: currentRefs.filter((ref) => !previous.has(ref)),
+    removed: previousRefs.filter((ref) => !current.has(ref)),
+    kept: currentRefs.filter((ref) => previous.has(ref)),
+  };
+}